@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { AuthResponseStatus } = require('../core/auth_response');
+const { listArtifacts, getArtifactArchive, isValidRequestId } = require('../core/failure_artifacts');
+const { requireAdminToken } = require('../utils/adminAuth');
+
+router.use(requireAdminToken);
+
+/**
+ * GET /
+ * Stored failure artifact bundles, newest first: { count, bundles: [{ requestId, createdAt, attempts, sizeBytes }] }.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const bundles = await listArtifacts();
+    return res.status(200).json({ count: bundles.length, bundles });
+  } catch (err) {
+    logger.error(`Listing failure artifacts failed: ${err.message}`);
+    return res.status(500).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Listing failure artifacts failed: ${err.message}`
+    });
+  }
+});
+
+/**
+ * GET /:requestId
+ * Downloads the failure artifacts of a request as tar archive (<requestId>/attempt-<n>/<file>).
+ */
+router.get('/:requestId', async (req, res) => {
+  const { requestId } = req.params;
+  if (!isValidRequestId(requestId)) {
+    return res.status(400).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Invalid request ID"
+    });
+  }
+  try {
+    const archive = await getArtifactArchive(requestId);
+    if (!archive) {
+      return res.status(404).json({
+        status: AuthResponseStatus.ERROR,
+        description: "No failure artifacts stored for this request"
+      });
+    }
+    res.set('Content-Type', 'application/x-tar');
+    res.set('Content-Disposition', `attachment; filename="${requestId}.tar"`);
+    return res.status(200).send(archive);
+  } catch (err) {
+    logger.error(`Reading the failure artifacts of ${requestId} failed: ${err.message}`);
+    return res.status(500).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Reading the failure artifacts failed: ${err.message}`
+    });
+  }
+});
+
+module.exports = router;
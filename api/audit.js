@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { AuthResponseStatus } = require('../core/auth_response');
+const { queryAuditLog } = require('../utils/auditLog');
+const { requireAdminToken } = require('../utils/adminAuth');
+
+router.use(requireAdminToken);
+
+/**
+ * Parses a time filter: ISO date or milliseconds since the epoch.
+ * @returns {number|null|undefined} - ms, undefined if not given, null if invalid.
+ */
+function parseTime(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? +value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * GET /
+ * Login audit entries, newest first.
+ * Filters: ?username=, ?from= / ?to= (ISO date or ms), ?result= (SUCCESS or an error code),
+ * ?proxy= (part of the masked proxy URL, e.g. host:port), ?limit= (default 100, at most 1000).
+ */
+router.get('/', async (req, res) => {
+  const { username, result, proxy } = req.query;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+  const limit = req.query.limit === undefined ? 100 : +req.query.limit;
+  if (from === null || to === null || !Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({
+      status: AuthResponseStatus.ERROR,
+      description: "from/to must be ISO dates or milliseconds and limit a positive integer"
+    });
+  }
+  try {
+    const entries = await queryAuditLog({ username, from, to, result, proxy, limit });
+    return res.status(200).json({ count: entries.length, entries });
+  } catch (err) {
+    logger.error(`Audit log query failed: ${err.message}`);
+    return res.status(500).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Audit log query failed: ${err.message}`
+    });
+  }
+});
+
+module.exports = router;
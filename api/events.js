@@ -0,0 +1,120 @@
+// api/events.js
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('../utils/logger');
+const { isValidAdminToken, getRequestToken } = require('../utils/adminAuth');
+const { subscribeLoginEvents, getLoginEventHistory } = require('../utils/loginEvents');
+
+const EVENT_STREAM_PATH = '/api/v1/events';
+// Bytes a client may have queued before further events for it are dropped (slow listener)
+const EVENT_STREAM_MAX_BUFFER = +process.env.EVENT_STREAM_MAX_BUFFER || 1024 * 1024;
+// Events dropped in a row before a slow listener is disconnected
+const EVENT_STREAM_MAX_DROPPED = +process.env.EVENT_STREAM_MAX_DROPPED || 1000;
+// Clients that do not answer a ping within this interval are disconnected
+const EVENT_STREAM_PING_MS = +process.env.EVENT_STREAM_PING_MS || 30000;
+
+function rejectUpgrade(socket, statusCode, reason) {
+  socket.write(`HTTP/1.1 ${statusCode} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Sends an event to a client without ever waiting for it: ws.send() only queues the frame.
+ * While more than EVENT_STREAM_MAX_BUFFER bytes are queued, events are dropped and counted; the client gets
+ * a `dropped` event with the count once it caught up. A client that keeps lagging for EVENT_STREAM_MAX_DROPPED
+ * events is disconnected (close code 1013), so a slow listener can neither stall logins nor fill the memory.
+ */
+function sendEvent(client, event) {
+  const { ws } = client;
+  if (ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  if (ws.bufferedAmount > EVENT_STREAM_MAX_BUFFER) {
+    client.dropped++;
+    if (client.dropped >= EVENT_STREAM_MAX_DROPPED) {
+      logger.warn(`sendEvent: Disconnecting event stream client ${client.ip}, ${client.dropped} events dropped in a row`);
+      ws.close(1013, 'Too slow, events dropped');
+    }
+    return;
+  }
+  if (client.dropped > 0) {
+    ws.send(JSON.stringify({ type: 'dropped', count: client.dropped, at: new Date().toISOString() }));
+    client.dropped = 0;
+  }
+  ws.send(JSON.stringify(event));
+}
+
+function handleConnection(ws, req, requestIds) {
+  const client = { ws, ip: req.socket.remoteAddress, requestIds, dropped: 0, alive: true };
+  logger.info(`Event stream client ${client.ip} connected (${requestIds ? `requests ${[...requestIds].join(', ')}` : 'all events'})`);
+
+  ws.send(JSON.stringify({ type: 'subscribed', requestIds: requestIds ? [...requestIds] : null, at: new Date().toISOString() }));
+  // Requests that already started are replayed, so subscribing after POST ?async=true misses nothing
+  if (requestIds) {
+    requestIds.forEach(requestId => getLoginEventHistory(requestId).forEach(event => sendEvent(client, event)));
+  }
+
+  const unsubscribe = subscribeLoginEvents(event => {
+    if (!client.requestIds || client.requestIds.has(event.requestId)) {
+      sendEvent(client, event);
+    }
+  });
+
+  ws.on('pong', () => {
+    client.alive = true;
+  });
+  const pingInterval = setInterval(() => {
+    if (!client.alive) {
+      logger.warn(`Event stream client ${client.ip} did not answer the ping, disconnecting`);
+      ws.terminate();
+      return;
+    }
+    client.alive = false;
+    ws.ping();
+  }, EVENT_STREAM_PING_MS);
+  pingInterval.unref();
+
+  ws.on('error', err => logger.warn(`Event stream client ${client.ip} error: ${err.message}`));
+  ws.on('close', () => {
+    clearInterval(pingInterval);
+    unsubscribe();
+    logger.info(`Event stream client ${client.ip} disconnected`);
+  });
+}
+
+/**
+ * WebSocket endpoint ws://<host>:5090/api/v1/events streaming login progress events (utils/loginEvents.js) as JSON.
+ * - Authentication with ADMIN_TOKEN: "Authorization: Bearer <token>", "X-Admin-Token" or ?token=<token>
+ *   (browsers cannot set headers on WebSocket requests). Without ADMIN_TOKEN the stream is disabled (503).
+ * - ?requestId=<id>[,<id>...] limits the stream to these requests and replays their events so far;
+ *   without it every login's events are sent.
+ * The stream is one-way; messages from the client are ignored.
+ *
+ * @param {http.Server} server - The HTTP server the Express app listens on.
+ */
+function attachEventStream(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 4096 });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== EVENT_STREAM_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+    if (!process.env.ADMIN_TOKEN) {
+      return rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+    if (!isValidAdminToken(getRequestToken(req) || url.searchParams.get('token'))) {
+      logger.warn(`Rejected event stream connection from ${req.socket.remoteAddress}: invalid token`);
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+    const requestIdParam = url.searchParams.get('requestId');
+    const requestIds = requestIdParam
+      ? new Set(requestIdParam.split(',').map(id => id.trim()).filter(Boolean))
+      : null;
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, req, requestIds && requestIds.size > 0 ? requestIds : null));
+  });
+
+  logger.info(`Login event stream available at ${EVENT_STREAM_PATH}`);
+  return wss;
+}
+
+module.exports = { attachEventStream };
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { AuthResponseStatus } = require('../core/auth_response');
+const { rotateProfile, pinProfile } = require('../core/fingerprint');
+const { getFingerprint, listFingerprints, deleteFingerprint } = require('../utils/fingerprintStore');
+const { requireAdminToken } = require('../utils/adminAuth');
+
+router.use(requireAdminToken);
+
+function summarize({ username, profile, pinned, createdAt, rotatedAt, lastUsed }) {
+  return {
+    username,
+    pinned,
+    createdAt: createdAt ? new Date(createdAt).toISOString() : null,
+    rotatedAt: rotatedAt ? new Date(rotatedAt).toISOString() : null,
+    lastUsed: lastUsed ? new Date(lastUsed).toISOString() : null,
+    os: profile.os,
+    userAgent: profile.userAgent,
+    timezone: profile.timezone,
+    languages: profile.languages,
+    screen: `${profile.screen.width}x${profile.screen.height}`
+  };
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    status: AuthResponseStatus.ERROR,
+    description: "No fingerprint profile for this account"
+  });
+}
+
+/**
+ * GET /
+ * Lists the stored fingerprint profiles (summary per account).
+ */
+router.get('/', (req, res) => {
+  res.status(200).json(listFingerprints().map(summarize));
+});
+
+/**
+ * GET /:username
+ * Full profile of an account.
+ */
+router.get('/:username', (req, res) => {
+  const entry = getFingerprint(req.params.username);
+  if (!entry) {
+    return notFound(res);
+  }
+  return res.status(200).json({ username: req.params.username, ...entry });
+});
+
+/**
+ * POST /:username/rotate
+ * Generates a new profile for the account. Pinned profiles are only rotated with `?force=true`.
+ */
+router.post('/:username/rotate', (req, res) => {
+  const entry = rotateProfile(req.params.username, { force: req.query.force === 'true' });
+  if (!entry) {
+    return res.status(409).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Profile is pinned, use ?force=true to rotate it anyway"
+    });
+  }
+  return res.status(200).json(summarize({ username: req.params.username, ...entry }));
+});
+
+/**
+ * PUT /:username/pin
+ * Body: { "pinned": true|false, "seed": "<optional seed to pin a specific profile>" }
+ */
+router.put('/:username/pin', (req, res) => {
+  const { pinned = true, seed } = req.body || {};
+  if (typeof pinned !== 'boolean' || (seed !== undefined && typeof seed !== 'string')) {
+    return res.status(400).json({
+      status: AuthResponseStatus.ERROR,
+      description: "pinned must be a boolean and seed a string"
+    });
+  }
+  const entry = pinProfile(req.params.username, { pinned, seed });
+  return res.status(200).json(summarize({ username: req.params.username, ...entry }));
+});
+
+/**
+ * DELETE /:username
+ * Forgets the profile; the next login of the account generates a new one.
+ */
+router.delete('/:username', (req, res) => {
+  if (!deleteFingerprint(req.params.username)) {
+    return notFound(res);
+  }
+  return res.status(204).end();
+});
+
+module.exports = router;
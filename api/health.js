@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const Browser = require('../core/puppeteer');
+const { browserBackends } = require('../core/browser_backends');
+const { getProxyPoolStats } = require('../utils/proxyPool');
+const { getLastCheckReport, isProxyCheckRunning } = require('../utils/proxyChecker');
+const { getLoginQueueStats } = require('./login');
+const { isValidAdminToken, getRequestToken } = require('../utils/adminAuth');
+
+// How long a browser probe may take, and how long its result is reused (probes connect to browserless)
+const READINESS_TIMEOUT_MS = +process.env.READINESS_TIMEOUT_MS || 5000;
+const READINESS_CACHE_MS = +process.env.READINESS_CACHE_MS || 10000;
+// Unlocked proxies needed to be ready (only if proxies.txt lists any; without proxies the local IP is used)
+const READINESS_MIN_PROXIES = +process.env.READINESS_MIN_PROXIES || 1;
+
+const startedAt = Date.now();
+let lastBrowserCheck = null;
+let runningBrowserCheck = null;
+
+/**
+ * Connects to a browser backend and asks for its version (Browser.healthCheck()).
+ * Results are cached for READINESS_CACHE_MS; concurrent probes share one connection.
+ */
+async function checkBrowser() {
+  if (lastBrowserCheck && Date.now() - lastBrowserCheck.checkedAt < READINESS_CACHE_MS) {
+    return { ...lastBrowserCheck.result, cached: true };
+  }
+  if (!runningBrowserCheck) {
+    runningBrowserCheck = probeBrowser().finally(() => {
+      runningBrowserCheck = null;
+    });
+  }
+  return runningBrowserCheck;
+}
+
+async function probeBrowser() {
+  const startTime = Date.now();
+  const probe = new Browser({});
+  let timeoutHandle;
+  let result;
+  const connecting = Browser.connect(null);
+  try {
+    probe.browser = await Promise.race([
+      connecting,
+      new Promise((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error(`No connection within ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+      })
+    ]);
+    const version = await probe.healthCheck();
+    result = { status: 'ok', version, latencyMs: Date.now() - startTime };
+  } catch (err) {
+    logger.warn(`readyz: Browser backend check failed: ${err.message}`);
+    result = { status: 'fail', error: err.message, latencyMs: Date.now() - startTime };
+  } finally {
+    clearTimeout(timeoutHandle);
+    // A connection that arrives after the timeout is closed as well
+    connecting.then(browser => browserBackends.release(browser)).catch(() => {});
+  }
+  result.backends = browserBackends.stats().backends.map(({ url, state, sessions, maxSessions }) => ({ url, state, sessions, maxSessions }));
+  lastBrowserCheck = { checkedAt: Date.now(), result };
+  return result;
+}
+
+function checkProxies() {
+  const stats = getProxyPoolStats();
+  // The startup mass check runs after the server listens; until it is done the cooldowns are not known yet
+  if (!getLastCheckReport() && isProxyCheckRunning()) {
+    return { status: 'fail', note: 'Initial mass check of the proxies is running', ...stats };
+  }
+  if (stats.total === 0) {
+    return { status: 'ok', note: 'No proxies configured, logins use the local IP', ...stats };
+  }
+  return { status: stats.unlocked >= READINESS_MIN_PROXIES ? 'ok' : 'fail', minUnlocked: READINESS_MIN_PROXIES, ...stats };
+}
+
+function checkQueue() {
+  const stats = getLoginQueueStats();
+  return {
+    status: stats.queued < stats.maxQueueSize ? 'ok' : 'fail',
+    slotsInUse: stats.running,
+    slotsFree: Math.max(stats.concurrency - stats.running, 0),
+    ...stats
+  };
+}
+
+/**
+ * GET /healthz
+ * Liveness: the process is up and the event loop answers. No dependency is checked.
+ */
+router.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+});
+
+/**
+ * GET /readyz
+ * Readiness: whether logins can be served right now. Checks a browser backend connection, the unlocked
+ * proxies and the login queue; 503 if any of them fails. Without the admin token the body only names
+ * the status per dependency; with it, the details (backend URLs, proxy and queue counts) are included.
+ * The browser probe is cached (READINESS_CACHE_MS), so callers cannot open browserless sessions at will.
+ */
+router.get('/readyz', async (req, res) => {
+  const checks = {
+    browser: await checkBrowser(),
+    proxies: checkProxies(),
+    queue: checkQueue()
+  };
+  const ready = Object.values(checks).every(check => check.status === 'ok');
+  if (!ready) {
+    logger.debug(`readyz: Not ready: ${JSON.stringify(checks)}`);
+  }
+  const details = isValidAdminToken(getRequestToken(req));
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'fail',
+    checks: details ? checks : Object.fromEntries(Object.entries(checks).map(([name, { status }]) => [name, { status }]))
+  });
+});
+
+module.exports = router;
@@ -2,138 +2,430 @@ const express = require('express');
 const router = express.Router();
 const { loginWithRetry } = require('../core/login_with_retry');
 const { AuthResponseStatus } = require('../core/auth_response');
+const { LoginQueue } = require('../core/login_queue');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
-const { getNextProxy } = require('../utils/proxyPool');
+const { acquireProxy, hasMatchingProxy, describeProxySelector, maskProxyUrl } = require('../utils/proxyPool');
+const { isAbortError, getHostname } = require('../utils/helpers');
+const { resolveRetryPolicy } = require('../core/retry_policy');
+const { LOGIN_REQUEST_TIMEOUT_MS } = require('../config/constants');
+const { metrics, registerCollector } = require('../utils/metrics');
+const { buildAuditEntry, appendAuditEntry } = require('../utils/auditLog');
+const { LoginEventType, emitLoginEvent } = require('../utils/loginEvents');
+const { notifyLoginResult } = require('../core/notifiers');
 
 // Configurable value - Default: 1 concurrent login
 // Log process.env.MAX_CONCURRENT_LOGINS before parsing
 logger.info(`process.env.MAX_CONCURRENT_LOGINS: ${process.env.MAX_CONCURRENT_LOGINS}`);
 const maxConcurrentLogins = +process.env.MAX_CONCURRENT_LOGINS || 1;
 logger.info(`MAX_CONCURRENT_LOGINS is set to: ${maxConcurrentLogins}`);
-let concurrentLogins = 0;
+// Number of login requests that may wait for a free slot - Default: 20
+const maxQueuedLogins = +process.env.LOGIN_QUEUE_MAX_SIZE || 20;
+// How long finished jobs can still be fetched via GET /jobs/:id - Default: 10 minutes
+const loginJobTtlMs = +process.env.LOGIN_JOB_TTL_MS || 10 * 60 * 1000;
 
-router.post('/', async (req, res) => {
-  logger.info(`Current maxConcurrentLogins (from var): ${maxConcurrentLogins}`); // Log value here
-  logger.info(`process.env.MAX_CONCURRENT_LOGINS (in handler): ${process.env.MAX_CONCURRENT_LOGINS}`); // Log value here
-  if (concurrentLogins >= maxConcurrentLogins) {
-    logger.warn('Another login request is already in progress, rejecting new request.');
-    return res.status(503).json({
+/**
+ * Maps the result of loginWithRetry to the HTTP status code and body returned to the caller.
+ *
+ * @param {string} requestId - Request ID for logging.
+ * @param {Object} loginResult - { result, attempts } as returned by loginWithRetry.
+ * @returns {{ statusCode: number, body: Object }} - The body lists every attempt (proxy, error code, duration)
+ *                                                   and carries the preflight results of the last attempt in `meta`.
+ */
+function buildLoginResponse(requestId, { result, attempts }) {
+  if (result.token) {
+    logger.info(`[Request ID: ${requestId}] SUCCESS => 200, login_code: ${result.token}`);
+    return {
+      statusCode: 200,
+      body: {
+        status: AuthResponseStatus.SUCCESS,
+        login_code: result.token,
+        usedProxy: result.usedProxy || null,
+        attempts,
+        meta: { preflight: result.preflight || null }
+      }
+    };
+  }
+
+  // Differentiate here based on the specific error type:
+  if (result.error) {
+    let statusCode = 500; // Default status code
+    switch (result.error) {
+      case "IP_BLOCKED":
+        logger.warn(`[Request ID: ${requestId}] IP_BLOCKED detected`);
+        statusCode = 403;
+        break;
+      case "ACCOUNT_BANNED":
+      case "IMPERVA_BLOCKED":
+        logger.warn(`[Request ID: ${requestId}] Account banned or Imperva blocked detected`);
+        statusCode = 418;
+        break;
+      case "INVALID_CREDENTIALS":
+      case "LOGIN_FAILED":
+      case "ACCOUNT_DISABLED":
+        logger.warn(`[Request ID: ${requestId}] Login failed due to invalid credentials`);
+        statusCode = attempts.length > 1 ? 503 : 400;
+        break;
+      case "NAVIGATION_TIMEOUT":
+        logger.warn(`[Request ID: ${requestId}] Navigation timeout during login process`);
+        statusCode = 504;
+        break;
+      case "BROWSER_UNAVAILABLE":
+        logger.error(`[Request ID: ${requestId}] No browser backend available`);
+        statusCode = 503;
+        break;
+      case "PROXY_MISMATCH":
+        logger.warn(`[Request ID: ${requestId}] Browser traffic did not leave through the selected proxy`);
+        statusCode = 502;
+        break;
+      default:
+        logger.error(`[Request ID: ${requestId}] Unhandled error: ${result.error}`);
+        break;
+    }
+    return {
+      statusCode,
+      body: {
+        status: AuthResponseStatus.ERROR,
+        description: result.description || "Internal server error",
+        error: result.error,
+        attempts,
+        meta: { preflight: result.preflight || null }
+      }
+    };
+  }
+
+  // Fallback: If neither token nor specific error has been returned
+  logger.error(`[Request ID: ${requestId}] No token found unexpectedly`);
+  return {
+    statusCode: 500,
+    body: {
       status: AuthResponseStatus.ERROR,
-      description: "Server is busy, only a limited number of login requests are allowed at a time."
-    });
+      description: "No token found unexpectedly",
+      attempts,
+      meta: { preflight: result.preflight || null }
+    }
+  };
+}
+
+/**
+ * Reads the optional proxy pool selector from the request body (`proxyGroup`, `country`).
+ * @returns {Object|null} - { group, country }, or null if the caller does not restrict the pool.
+ * @throws {Error} - If a selector field is not a non-empty string.
+ */
+function resolveProxySelector({ proxyGroup, country }) {
+  if (proxyGroup === undefined && country === undefined) {
+    return null;
+  }
+  [['proxyGroup', proxyGroup], ['country', country]].forEach(([name, value]) => {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`Invalid ${name}: expected a non-empty string`);
+    }
+  });
+  return { group: proxyGroup ? proxyGroup.trim() : null, country: country ? country.trim() : null };
+}
+
+function noMatchingProxyResponse(description) {
+  return {
+    statusCode: 400,
+    body: {
+      status: AuthResponseStatus.ERROR,
+      error: 'NO_MATCHING_PROXY',
+      description
+    }
+  };
+}
+
+/**
+ * Queue worker: runs one login job (proxy selection + loginWithRetry with LOGIN_REQUEST_TIMEOUT_MS, default 60s).
+ * The job ID doubles as request ID in the logs. When the timeout fires (or the job is cancelled),
+ * the job's signal is aborted so the browser session is closed instead of running on in the background.
+ */
+async function runLoginJob(job, { url, username, password, retryPolicy, proxySelector }) {
+  const requestId = job.id;
+  const { signal } = job;
+  emitLoginEvent(requestId, LoginEventType.STARTED, { host: getHostname(url), proxySelector: proxySelector || null });
+
+  try {
+    job.proxyLease = await acquireProxy({ host: getHostname(url), selector: proxySelector, username, signal });
+    job.proxy = job.proxyLease ? job.proxyLease.proxy : null;
+    logger.info(`[Request ID: ${requestId}] Using proxy: ${job.proxy ? maskProxyUrl(job.proxy) : 'none (local IP)'}`);
+    emitLoginEvent(requestId, LoginEventType.PROXY_SELECTED, { attempt: 1, proxy: job.proxy ? maskProxyUrl(job.proxy) : null });
+  } catch (error) {
+    if (isAbortError(error)) {
+      logger.warn(`[Request ID: ${requestId}] Aborted while waiting for a proxy: ${error.message}`);
+      return cancelledResponse();
+    }
+    if (error.code === 'NO_MATCHING_PROXY') {
+      logger.error(`[Request ID: ${requestId}] ${error.message}`);
+      return noMatchingProxyResponse(error.message);
+    }
+    logger.error(`[Request ID: ${requestId}] No available proxy: ${error.message}`);
+    return {
+      statusCode: 503,
+      body: {
+        status: AuthResponseStatus.ERROR,
+        error: 'NO_PROXY_AVAILABLE',
+        description: "No proxy available at the moment."
+      }
+    };
+  }
+
+  logger.info(`[Request ID: ${requestId}] Starting first login attempt...`);
+  let timedOut = false;
+  const timeoutHandle = setTimeout(() => {
+    timedOut = true;
+    job.controller.abort(new Error(`Request timed out after ${LOGIN_REQUEST_TIMEOUT_MS / 1000} seconds`));
+  }, LOGIN_REQUEST_TIMEOUT_MS);
+
+  let loginResult;
+  try {
+    loginResult = await loginWithRetry(url, username, password, job.proxyLease, { signal, requestId, retryPolicy, proxySelector });
+  } catch (error) {
+    if (timedOut) {
+      logger.error(`[Request ID: ${requestId}] Request timed out: ${error.message}`);
+      return {
+        statusCode: 500,
+        body: {
+          status: AuthResponseStatus.ERROR,
+          error: 'REQUEST_TIMEOUT',
+          description: "Request timed out"
+        }
+      };
+    }
+    if (isAbortError(error)) {
+      logger.warn(`[Request ID: ${requestId}] Login aborted: ${error.message}`);
+      return cancelledResponse();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+
+  return buildLoginResponse(requestId, loginResult);
+}
+
+function cancelledResponse() {
+  return {
+    statusCode: 409,
+    body: {
+      status: AuthResponseStatus.ERROR,
+      description: "Login job was cancelled"
+    }
+  };
+}
+
+/**
+ * Result code of a login response for the metrics and the audit log: SUCCESS, the error code, CANCELLED or INTERNAL_ERROR.
+ */
+function loginResultCode({ statusCode, body }) {
+  if (statusCode === 200) {
+    return 'SUCCESS';
+  }
+  if (body.error) {
+    return body.error;
   }
+  return statusCode === 409 ? 'CANCELLED' : 'INTERNAL_ERROR';
+}
 
-  concurrentLogins++;
+/**
+ * Counts a login request by result code and appends its audit entry (utils/auditLog.js). Besides finished jobs,
+ * this covers requests that never ran: rejected ones (invalid parameters, full queue) and jobs cancelled while queued.
+ * @param {string} requestId
+ * @param {Object} payload - The login request: { url, username, proxySelector, caller }, any of them may be missing.
+ * @param {Object} response - { statusCode, body } the caller got.
+ * @param {number} startedAt - Start of the request in ms, for the duration.
+ * @returns {string} - The result code (loginResultCode()).
+ */
+function recordLoginResult(requestId, payload, response, startedAt) {
+  const result = loginResultCode(response);
+  metrics.logins.inc({ result });
+  appendAuditEntry(buildAuditEntry({
+    requestId,
+    caller: payload.caller,
+    username: payload.username,
+    host: getHostname(payload.url),
+    proxySelector: payload.proxySelector,
+    result,
+    response,
+    startedAt
+  }));
+  return result;
+}
+
+/**
+ * Queue worker with metrics, audit log, event stream and notifiers: counts the login by result code, records its
+ * duration, appends the audit entry, emits the `finished` event and hands the result to the
+ * notifiers (core/notifiers), which send in the background.
+ */
+async function runInstrumentedLoginJob(job, payload) {
+  const startTime = Date.now();
+  const response = await runLoginJob(job, payload);
+  const result = recordLoginResult(job.id, payload, response, startTime);
+  metrics.loginDuration.observe({ result }, (Date.now() - startTime) / 1000);
+  emitLoginEvent(job.id, LoginEventType.FINISHED, { result, httpStatus: response.statusCode, durationMs: Date.now() - startTime });
+  notifyLoginResult({ requestId: job.id, username: payload.username, host: getHostname(payload.url), result, response });
+  return response;
+}
+
+const loginQueue = new LoginQueue({
+  concurrency: maxConcurrentLogins,
+  maxQueueSize: maxQueuedLogins,
+  jobTtlMs: loginJobTtlMs,
+  worker: runInstrumentedLoginJob,
+  // Jobs cancelled before they started never reach the worker
+  onCancelled: (job, payload, response) => {
+    const result = recordLoginResult(job.id, payload, response, job.createdAt);
+    emitLoginEvent(job.id, LoginEventType.FINISHED, { result, httpStatus: response.statusCode, durationMs: Date.now() - job.createdAt });
+  }
+});
+
+registerCollector(() => {
+  const { queued, running, concurrency } = loginQueue.stats();
+  metrics.queueDepth.set({}, queued);
+  metrics.queueRunning.set({}, running);
+  metrics.queueConcurrency.set({}, concurrency);
+});
+
+/**
+ * POST /
+ * Queues a login job. By default the request waits for the job and returns its result (synchronous mode).
+ * With `?async=true` (or `"async": true` in the body) it returns 202 with a job ID right away;
+ * the result can then be fetched via GET /jobs/:id.
+ */
+router.post('/', async (req, res) => {
   const startTime = Date.now();
   const requestId = uuidv4();
-  let proxy;
+  const asyncMode = req.query.async === 'true' || req.body.async === true;
+  let job = null;
 
-  logger.info(`Received login request - Request ID: ${requestId}`);
+  logger.info(`[Request ID: ${requestId}] Received login request (${asyncMode ? 'async' : 'sync'})`);
 
   try {
     const { url, username, password } = req.body;
+    const caller = { ip: req.ip, userAgent: req.headers['user-agent'] || null };
+    let proxySelector = null;
+    // Requests rejected before they are queued are counted and audited like finished logins
+    const reject = (statusCode, body) => {
+      recordLoginResult(requestId, { url, username, proxySelector, caller }, { statusCode, body }, startTime);
+      return res.status(statusCode).json(body);
+    };
     res.on('finish', () => {
       const dragoName = req.headers['user-agent'] || 'unknown';
+      const proxy = job && job.proxy ? maskProxyUrl(job.proxy) : null;
       logger.info(`Request processed in ${(Date.now() - startTime) / 1000}s for ${username || 'unknown'} Proxy: ${proxy || 'none'} HTTP Status: ${res.statusCode}. Request by ${dragoName}`);
     });
 
     const required = ["url", "username", "password"];
     if (!required.every(key => req.body[key])) {
       logger.error(`[Request ID: ${requestId}] Missing required parameters`);
-      return res.status(400).json({
+      return reject(400, {
         status: AuthResponseStatus.ERROR,
+        error: 'INVALID_REQUEST',
         description: "Missing required parameters"
       });
     }
 
+    let retryPolicy;
     try {
-      proxy = await getNextProxy();
-      logger.info(`[Request ID: ${requestId}] Using proxy: ${proxy}`);
+      retryPolicy = resolveRetryPolicy(req.body.retryPolicy);
     } catch (error) {
-      logger.error(`[Request ID: ${requestId}] No available proxy!`);
-      return res.status(503).json({
+      logger.error(`[Request ID: ${requestId}] Invalid retry policy: ${error.message}`);
+      return reject(400, {
         status: AuthResponseStatus.ERROR,
-        description: "No proxy available at the moment."
+        error: 'INVALID_REQUEST',
+        description: error.message
       });
     }
 
-    logger.info(`[Request ID: ${requestId}] Starting first login attempt...`);
-    const loginPromise = loginWithRetry(url, username, password, proxy);
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Request timed out after 60 seconds')), 60000)
-    );
-
-    let loginResult;
     try {
-      loginResult = await Promise.race([loginPromise, timeoutPromise]);
+      proxySelector = resolveProxySelector(req.body);
     } catch (error) {
-      logger.error(`[Request ID: ${requestId}] Request timed out: ${error.message}`);
-      return res.status(500).json({
+      logger.error(`[Request ID: ${requestId}] ${error.message}`);
+      return reject(400, {
         status: AuthResponseStatus.ERROR,
-        description: "Request timed out"
+        error: 'INVALID_REQUEST',
+        description: error.message
       });
     }
-
-    const { result, attempts } = loginResult;
-
-    if (result.token) {
-      logger.info(`[Request ID: ${requestId}] SUCCESS => 200, login_code: ${result.token}`);
-      return res.status(200).json({
-        status: AuthResponseStatus.SUCCESS,
-        login_code: result.token,
-        usedProxy: result.usedProxy || null
-      });
+    // A selector nothing matches fails right away instead of falling back to other proxies
+    if (proxySelector && !hasMatchingProxy(proxySelector)) {
+      const { statusCode, body } = noMatchingProxyResponse(`No proxy matches ${describeProxySelector(proxySelector)}`);
+      logger.error(`[Request ID: ${requestId}] ${body.description}`);
+      return reject(statusCode, body);
     }
 
-    // Differentiate here based on the specific error type:
-    if (result.error) {
-      let statusCode = 500; // Default status code
-      switch (result.error) {
-        case "IP_BLOCKED":
-          logger.warn(`[Request ID: ${requestId}] IP_BLOCKED detected`);
-          statusCode = 403;
-          break;
-        case "ACCOUNT_BANNED":
-        case "IMPERVA_BLOCKED":
-          logger.warn(`[Request ID: ${requestId}] Account banned or Imperva blocked detected`);
-          statusCode = 418;
-          break;
-        case "INVALID_CREDENTIALS":
-        case "LOGIN_FAILED":
-        case "ACCOUNT_DISABLED":
-          logger.warn(`[Request ID: ${requestId}] Login failed due to invalid credentials`);
-          statusCode = attempts > 1 ? 503 : 400;
-          break;
-        case "NAVIGATION_TIMEOUT":
-          logger.warn(`[Request ID: ${requestId}] Navigation timeout during login process`);
-          statusCode = 504;
-          break;
-        default:
-          logger.error(`[Request ID: ${requestId}] Unhandled error: ${result.error}`);
-          break;
-      }
-      return res.status(statusCode).json({
+    // Emitted before enqueue(): with a free slot the job starts right away
+    emitLoginEvent(requestId, LoginEventType.QUEUED, { position: loginQueue.stats().queued + 1 });
+    job = loginQueue.enqueue({ url, username, password, retryPolicy, proxySelector, caller }, requestId);
+    if (!job) {
+      emitLoginEvent(requestId, LoginEventType.FINISHED, { result: 'QUEUE_FULL', httpStatus: 503, durationMs: Date.now() - startTime });
+      return reject(503, {
         status: AuthResponseStatus.ERROR,
-        description: result.description || "Internal server error"
+        error: 'QUEUE_FULL',
+        description: "Server is busy, the login queue is full."
       });
     }
 
-    // Fallback: If neither token nor specific error has been returned
-    logger.error(`[Request ID: ${requestId}] No token found unexpectedly`);
-    return res.status(500).json({
-      status: AuthResponseStatus.ERROR,
-      description: "No token found unexpectedly"
+    if (asyncMode) {
+      return res.status(202).json(loginQueue.describe(job));
+    }
+
+    // A synchronous caller that goes away takes its login with it
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        logger.warn(`[Request ID: ${requestId}] Client disconnected, cancelling login job`);
+        loginQueue.cancel(job.id, 'Client disconnected');
+      }
     });
+
+    const { statusCode, body } = await job.done;
+    return res.status(statusCode).json(body);
   } catch (error) {
     logger.error(`[Request ID: ${requestId}] API error: ${JSON.stringify(error)}`);
     return res.status(500).json({
       status: AuthResponseStatus.ERROR,
       description: "Internal server error"
     });
-  } finally {
-    concurrentLogins--;
   }
 });
 
+/**
+ * GET /jobs/:id
+ * Reports the state of a login job (queued/running/done/cancelled).
+ * Finished jobs carry `httpStatus` and `result`, the same status code and body the synchronous call returns.
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = loginQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Login job not found"
+    });
+  }
+  return res.status(200).json(loginQueue.describe(job));
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancels a queued or running login job.
+ */
+router.delete('/jobs/:id', (req, res) => {
+  const job = loginQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Login job not found"
+    });
+  }
+  if (!loginQueue.cancel(job.id)) {
+    return res.status(409).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Login job is already ${job.state}`
+    });
+  }
+  return res.status(200).json(loginQueue.describe(job));
+});
+
 module.exports = router;
+// Queue occupancy for the readiness check (api/health.js)
+module.exports.getLoginQueueStats = () => loginQueue.stats();
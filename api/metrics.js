@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { renderMetrics } = require('../utils/metrics');
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint (text format): logins by result code, durations, attempts, queue,
+ * proxy outcomes and pool state, browser connect latency.
+ */
+router.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(renderMetrics());
+});
+
+module.exports = router;
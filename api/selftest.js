@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { AuthResponseStatus } = require('../core/auth_response');
+const { parseList } = require('../utils/helpers');
+const { listEvasions, getEnabledEvasions } = require('../core/evasions');
+const { SELFTEST_HTML, runSelfTest } = require('../core/evasions/selftest');
+const { generateProfile } = require('../core/fingerprint');
+const { requireAdminToken } = require('../utils/adminAuth');
+
+/**
+ * GET /page
+ * The self-test page itself - open it in any browser to see which signals it leaks.
+ */
+router.get('/page', (req, res) => {
+  res.status(200).type('html').send(SELFTEST_HTML);
+});
+
+/**
+ * GET /evasions
+ * Registered evasions and whether they are enabled (EVASIONS).
+ */
+router.get('/evasions', (req, res) => {
+  res.status(200).json(listEvasions());
+});
+
+/**
+ * GET /
+ * Opens the self-test page in a browser (without proxy) and reports which signals still leak.
+ * Query: `evasions=a,b` to test a subset (empty = none), `fingerprint=true` to also apply a random profile.
+ */
+router.get('/', requireAdminToken, async (req, res) => {
+  const evasions = parseList(req.query.evasions, getEnabledEvasions());
+  const unknown = evasions.filter(name => !listEvasions().some(evasion => evasion.name === name));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Unknown evasion(s): ${unknown.join(', ')}`
+    });
+  }
+
+  try {
+    const result = await runSelfTest({
+      evasions,
+      fingerprint: req.query.fingerprint === 'true' ? generateProfile() : null
+    });
+    return res.status(200).json({
+      status: result.leaks.length === 0 ? AuthResponseStatus.SUCCESS : AuthResponseStatus.ERROR,
+      ...result
+    });
+  } catch (err) {
+    logger.error(`Self-test failed: ${err.message}`);
+    return res.status(503).json({
+      status: AuthResponseStatus.ERROR,
+      description: `Self-test could not be run: ${err.message}`
+    });
+  }
+});
+
+module.exports = router;
@@ -1,29 +1,79 @@
 // app.js
-const { checkProxies } = require('./utils/proxyPool');
+const { checkProxies, scheduleProxyChecks } = require('./utils/proxyChecker');
+const { reloadProxies, flushProxyStats } = require('./utils/proxyPool');
+const { flushAuditLog } = require('./utils/auditLog');
+const { flushNotifications } = require('./core/notifiers');
+const { flushFingerprints } = require('./utils/fingerprintStore');
+const { flushAffinities } = require('./utils/proxyAffinityStore');
 const express = require('express');
 const bodyParser = require('body-parser');
 const loginRoute = require('./api/login');
+const fingerprintsRoute = require('./api/fingerprints');
+const selftestRoute = require('./api/selftest');
+const proxiesRoute = require('./api/proxies');
+const healthRoute = require('./api/health');
+const metricsRoute = require('./api/metrics');
+const auditRoute = require('./api/audit');
+const artifactsRoute = require('./api/artifacts');
+const { attachEventStream } = require('./api/events');
 const logger = require('./utils/logger');
 const { DEFAULT_TIMEOUT } = require("./config/constants");
 require('dotenv').config(); // Add this if you are using .env files
 (async () => {
-  logger.info("Logging process.env:");
-  logger.info(JSON.stringify(process.env, null, 2));
   const massencheckEnabled = process.env.MASSENCHECK_ENABLED ? process.env.MASSENCHECK_ENABLED.toLowerCase() === 'true' : true; // Default to true if not set
-  if (massencheckEnabled) {
-    logger.info('Starting mass check of proxies against https://www.pokemon.com/us/pokemon-trainer-club/login');
-    logger.info('Mass check completed');
-  } else {
-    logger.info('Mass check of proxies skipped (disabled by environment variable MASSENCHECK_ENABLED)');
-  }
+  // Started once the server listens, in the background: the probes answer right away, /readyz reports not ready until the check is done
+  const startMassCheck = () => {
+    if (!massencheckEnabled) {
+      logger.info('Mass check of proxies skipped (disabled by environment variable MASSENCHECK_ENABLED)');
+      return;
+    }
+    logger.info('Starting mass check of proxies');
+    checkProxies()
+      .then(report => logger.info(`Mass check completed: ${report.ok} of ${report.total} proxies ok, ${report.blocked} blocked, ${report.upstream} upstream errors, ${report.dead} dead`))
+      .catch(err => logger.error(`Mass check failed: ${err.message}`));
+    scheduleProxyChecks();
+  };
+
+  // Pending proxy stats, fingerprint profiles, proxy affinities and audit entries are written, and queued notifications sent, before the process exits
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, () => {
+      logger.info(`${signal} received, writing proxy stats and audit log, sending notifications and shutting down`);
+      Promise.all([
+        flushProxyStats().catch(err => logger.error(`Could not write proxy stats: ${err.message}`)),
+        flushFingerprints().catch(err => logger.error(`Could not write fingerprint profiles: ${err.message}`)),
+        flushAffinities().catch(err => logger.error(`Could not write proxy affinities: ${err.message}`)),
+        flushAuditLog(),
+        flushNotifications()
+      ]).finally(() => process.exit(0));
+    });
+  });
+
+  // `kill -HUP <pid>` reloads proxies.txt (in addition to the file watcher)
+  process.on('SIGHUP', () => {
+    logger.info('SIGHUP received, reloading proxies.txt');
+    reloadProxies();
+  });
   
 const app = express();
 const port = 5090;
 
+// Pool imports carry the stats of every proxy and outgrow the default body limit
+app.use('/api/v1/proxies/import', bodyParser.json({ limit: process.env.PROXY_IMPORT_MAX_BODY || '10mb' }));
 app.use(bodyParser.json());
 
+// Liveness and readiness probes (/healthz, /readyz)
+app.use('/', healthRoute);
+// Prometheus metrics (/metrics)
+app.use('/', metricsRoute);
 // Mount the login route
 app.use('/api/v1/login-code', loginRoute);
+// Anti-detection self-test
+app.use('/api/v1/selftest', selftestRoute);
+// Admin routes (protected by ADMIN_TOKEN)
+app.use('/api/v1/fingerprints', fingerprintsRoute);
+app.use('/api/v1/proxies', proxiesRoute);
+app.use('/api/v1/audit', auditRoute);
+app.use('/api/v1/artifacts', artifactsRoute);
 
 // General error handler
 app.use((err, req, res, next) => {
@@ -36,7 +86,7 @@ app.use((err, req, res, next) => {
 
 if (module === require.main) {
     logger.info(`Starting server on port ${port}`);
-    app.listen(port, '0.0.0.0', () => {
+    const server = app.listen(port, '0.0.0.0', () => {
         logger.info(`Server listening on port ${port}`);
         const fs = require('fs');
         const sourceFile = 'proxy_data/proxyStats.json';
@@ -53,7 +103,10 @@ if (module === require.main) {
         } catch (err) {
           logger.error(`Error copying ${sourceFile} to ${destFile}: ${err.message}`);
         }
+        startMassCheck();
     });
+    // Live login events over WebSocket (/api/v1/events)
+    attachEventStream(server);
 }
 
 module.exports = app;
@@ -1,8 +1,21 @@
 // config/constants.js
+const { parseList } = require('../utils/helpers');
+
 module.exports = {
     IMPERVA_CHECK_TEXT: "Request unsuccessful. Incapsula",
     // LOGIN_URL: "https://access.pokemon.com/login", // Ungenutzt, entfernt
     // BASE_AUTH_URL: "https://access.pokemon.com/oauth2/auth", // Ungenutzt, entfernt
     // DEFAULT_TIMEOUT: 120000, // in milliseconds // Beibehalten, da genutzt
     DEFAULT_NAVIGATION_TIMEOUT_MS: 5000, // in milliseconds - navigation timeout
+    LOGIN_REQUEST_TIMEOUT_MS: +process.env.LOGIN_REQUEST_TIMEOUT_MS || 60000, // in milliseconds - API-level timeout per login request
+    // Default retry policy of loginWithRetry (can be overridden per request, see core/retry_policy.js)
+    LOGIN_RETRY_POLICY: {
+        maxAttempts: +process.env.LOGIN_MAX_ATTEMPTS || 2,
+        retryableErrors: parseList(process.env.LOGIN_RETRYABLE_ERRORS, ["IP_BLOCKED", "NAVIGATION_TIMEOUT", "SERVICE_UNAVAILABLE", "PROXY_MISMATCH"]),
+        backoffMs: +process.env.LOGIN_RETRY_BACKOFF_MS || 0, // delay before the 2nd attempt
+        backoffMultiplier: +process.env.LOGIN_RETRY_BACKOFF_MULTIPLIER || 2, // delay factor for every further attempt
+        maxBackoffMs: +process.env.LOGIN_RETRY_MAX_BACKOFF_MS || 10000,
+        budgetMs: +process.env.LOGIN_RETRY_BUDGET_MS || 55000, // no new attempt is started after this much time
+        keepProxyOn: parseList(process.env.LOGIN_RETRY_KEEP_PROXY_ON, []), // error codes that retry on the same proxy
+    },
 };
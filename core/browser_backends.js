@@ -0,0 +1,230 @@
+// core/browser_backends.js
+const puppeteer = require('puppeteer-core');
+const logger = require('../utils/logger');
+const { launchOptions } = require('./puppeteerHandler');
+const { parseProxyUrl } = require('../utils/proxyPool');
+
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Parses BROWSER_BACKENDS: comma separated CDP/browserless endpoints, each optionally followed by
+ * "|<maxSessions>", e.g. "ws://browserless:3000|10,ws://browserless2:3000|5".
+ */
+function parseBackends(value, defaultMaxSessions) {
+  return (value || 'ws://browserless:3000')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [url, maxSessions] = item.split('|');
+      return { url, maxSessions: +maxSessions || defaultMaxSessions };
+    });
+}
+
+/**
+ * Registry of remote browser backends (browserless/CDP endpoints).
+ * - Picks a backend round-robin or least-loaded, never above its maxSessions.
+ * - Circuit breaker per backend: after `failureThreshold` consecutive connect errors the backend is skipped
+ *   for `openMs`, then a single trial connection decides whether it is used again.
+ * - Optional local fallback: launches a local Chromium (puppeteer.launch(launchOptions)) when no remote
+ *   backend is reachable.
+ */
+class BrowserBackendRegistry {
+  constructor({ backends, strategy = 'round-robin', failureThreshold = 3, openMs = 30000, localFallback = false }) {
+    this.backends = backends.map(({ url, maxSessions }) => ({
+      url,
+      maxSessions,
+      sessions: 0,
+      totalSessions: 0,
+      errors: 0,
+      consecutiveFailures: 0,
+      state: CircuitState.CLOSED,
+      openedAt: 0,
+      lastError: null
+    }));
+    this.strategy = strategy;
+    this.failureThreshold = failureThreshold;
+    this.openMs = openMs;
+    this.localFallback = localFallback;
+    this.local = { sessions: 0, totalSessions: 0, errors: 0, lastError: null };
+    this.localBrowsers = new WeakSet();
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Connects to a backend (or launches a local browser) with the given proxy.
+   * The session is counted against the backend until the browser disconnects.
+   * @returns {Promise<Object>} - Connected puppeteer Browser.
+   */
+  async connect(proxy) {
+    const tried = new Set();
+    let backend;
+    while ((backend = this.select(tried))) {
+      tried.add(backend);
+      backend.sessions++;
+      try {
+        const browser = await puppeteer.connect({
+          browserWSEndpoint: buildEndpoint(backend.url, proxy),
+          defaultViewport: null
+        });
+        this.recordSuccess(backend);
+        backend.totalSessions++;
+        browser.once('disconnected', () => {
+          backend.sessions--;
+        });
+        return browser;
+      } catch (err) {
+        backend.sessions--;
+        this.recordFailure(backend, err);
+      }
+    }
+
+    if (this.localFallback) {
+      return this.launchLocal(proxy);
+    }
+    throw new Error(tried.size > 0 ? 'No browser backend reachable' : 'All browser backends are at capacity or unavailable');
+  }
+
+  /**
+   * Ends a session: closes a locally launched browser, disconnects from a remote one.
+   */
+  async release(browser) {
+    if (this.localBrowsers.has(browser)) {
+      await browser.close();
+    } else {
+      await browser.disconnect();
+    }
+  }
+
+  async launchLocal(proxy) {
+    logger.warn('BrowserBackends: No remote backend reachable, launching a local browser');
+    const args = [...(launchOptions.args || [])];
+    if (proxy) {
+      args.push(`--proxy-server=${parseProxyUrl(proxy).server}`);
+    }
+    this.local.sessions++;
+    try {
+      const browser = await puppeteer.launch({ ...launchOptions, args });
+      this.local.totalSessions++;
+      this.localBrowsers.add(browser);
+      browser.once('disconnected', () => {
+        this.local.sessions--;
+      });
+      return browser;
+    } catch (err) {
+      this.local.sessions--;
+      this.local.errors++;
+      this.local.lastError = err.message;
+      throw err;
+    }
+  }
+
+  /**
+   * Picks the next usable backend, skipping the ones in `exclude`.
+   */
+  select(exclude = new Set()) {
+    const candidates = this.backends.filter(backend =>
+      !exclude.has(backend) && backend.sessions < backend.maxSessions && this.isAvailable(backend)
+    );
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    let chosen;
+    if (this.strategy === 'least-loaded') {
+      chosen = candidates.reduce((best, backend) =>
+        backend.sessions / backend.maxSessions < best.sessions / best.maxSessions ? backend : best
+      );
+    } else {
+      for (let i = 0; i < this.backends.length; i++) {
+        const backend = this.backends[(this.nextIndex + i) % this.backends.length];
+        if (candidates.includes(backend)) {
+          chosen = backend;
+          this.nextIndex = (this.backends.indexOf(backend) + 1) % this.backends.length;
+          break;
+        }
+      }
+    }
+
+    if (chosen.state === CircuitState.OPEN) {
+      chosen.state = CircuitState.HALF_OPEN;
+      logger.info(`BrowserBackends: ${chosen.url} half-open, trying one connection`);
+    }
+    return chosen;
+  }
+
+  isAvailable(backend) {
+    if (backend.state === CircuitState.OPEN) {
+      return Date.now() - backend.openedAt >= this.openMs;
+    }
+    if (backend.state === CircuitState.HALF_OPEN) {
+      return backend.sessions === 0;
+    }
+    return true;
+  }
+
+  recordSuccess(backend) {
+    if (backend.state !== CircuitState.CLOSED) {
+      logger.info(`BrowserBackends: ${backend.url} is reachable again, closing circuit`);
+    }
+    backend.state = CircuitState.CLOSED;
+    backend.consecutiveFailures = 0;
+  }
+
+  recordFailure(backend, err) {
+    backend.errors++;
+    backend.consecutiveFailures++;
+    backend.lastError = err.message;
+    logger.warn(`BrowserBackends: Connecting to ${backend.url} failed (${backend.consecutiveFailures} in a row): ${err.message}`);
+    if (backend.state === CircuitState.HALF_OPEN || backend.consecutiveFailures >= this.failureThreshold) {
+      backend.state = CircuitState.OPEN;
+      backend.openedAt = Date.now();
+      logger.error(`BrowserBackends: Circuit for ${backend.url} opened for ${this.openMs}ms`);
+    }
+  }
+
+  /**
+   * Per-backend metrics (sessions, errors, circuit state).
+   */
+  stats() {
+    return {
+      strategy: this.strategy,
+      backends: this.backends.map(backend => ({
+        url: backend.url,
+        state: backend.state,
+        sessions: backend.sessions,
+        maxSessions: backend.maxSessions,
+        totalSessions: backend.totalSessions,
+        errors: backend.errors,
+        lastError: backend.lastError
+      })),
+      local: this.localFallback ? { ...this.local } : null
+    };
+  }
+}
+
+/**
+ * Browserless-WebSocket-Endpunkt – nur mit Proxy-Parameter, keine weiteren Systemparameter.
+ * Only scheme, host and port go into --proxy-server; the credentials are answered per page (page.authenticate).
+ */
+function buildEndpoint(url, proxy) {
+  if (!proxy) {
+    return url;
+  }
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}--proxy-server=${encodeURIComponent(parseProxyUrl(proxy).server)}`;
+}
+
+const browserBackends = new BrowserBackendRegistry({
+  backends: parseBackends(process.env.BROWSER_BACKENDS, +process.env.BROWSER_BACKEND_MAX_SESSIONS || 10),
+  strategy: process.env.BROWSER_BACKEND_STRATEGY || 'round-robin',
+  failureThreshold: +process.env.BROWSER_BACKEND_FAILURE_THRESHOLD || 3,
+  openMs: +process.env.BROWSER_BACKEND_OPEN_MS || 30000,
+  localFallback: process.env.BROWSER_LOCAL_FALLBACK === 'true'
+});
+
+module.exports = { BrowserBackendRegistry, browserBackends, CircuitState };
@@ -0,0 +1,247 @@
+// core/browser_pool.js
+const logger = require('../utils/logger');
+const { maskProxyUrl } = require('../utils/proxyPool');
+const { browserBackends } = require('./browser_backends');
+
+/**
+ * Warm browser session pool.
+ *
+ * Keeps one browserless connection per proxy and a few pre-created, pre-patched browser contexts on it.
+ * A login leases such a context (`browser.createBrowserContext()`, isolated cookies/storage) and the
+ * context is closed when the login is done - only the connection is reused, never a context.
+ *
+ * Note: browserless ends sessions after its own TIMEOUT; it has to be larger than BROWSER_POOL_IDLE_TIMEOUT_MS.
+ */
+class BrowserPool {
+  constructor({ enabled = false, maxConnections = 5, warmContexts = 1, idleTimeoutMs = 5 * 60 * 1000, maintenanceIntervalMs = 60 * 1000, healthCheckTimeoutMs = 5000 } = {}) {
+    this.enabled = enabled;
+    this.maxConnections = maxConnections;
+    this.warmContexts = warmContexts;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.maintenanceIntervalMs = maintenanceIntervalMs;
+    this.healthCheckTimeoutMs = healthCheckTimeoutMs;
+
+    // key (proxy or "direct") -> { key, proxy, browser, connecting, ready: [{ context, page }], leased, lastUsed, refilling }
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, evictions: 0, healthFailures: 0 };
+    this.maintenanceTimer = null;
+  }
+
+  /**
+   * Leases a warm browser context for the proxy.
+   * @returns {Promise<Object|null>} - { browser, context, page, release() }, or null if the pool has no room
+   *                                   for another connection (the caller then connects on its own).
+   */
+  async acquire(proxy) {
+    this.startMaintenance();
+    const entry = await this.getEntry(proxy);
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    let slot = entry.ready.shift();
+    if (slot) {
+      this.counters.hits++;
+      logger.debug(`BrowserPool: Hit for ${this.label(entry)} (${entry.ready.length} warm context(s) left)`);
+    } else {
+      this.counters.misses++;
+      logger.debug(`BrowserPool: Miss for ${this.label(entry)}, creating a context`);
+      slot = await this.createSlot(entry);
+    }
+
+    entry.leased++;
+    entry.lastUsed = Date.now();
+    this.refill(entry);
+
+    let released = false;
+    return {
+      browser: entry.browser,
+      context: slot.context,
+      page: slot.page,
+      release: async () => {
+        if (released) {
+          return;
+        }
+        released = true;
+        await this.release(entry, slot);
+      }
+    };
+  }
+
+  async release(entry, slot) {
+    entry.leased--;
+    entry.lastUsed = Date.now();
+    try {
+      await slot.context.close();
+    } catch (err) {
+      logger.warn(`BrowserPool: Could not close context for ${this.label(entry)}: ${err.message}`);
+    }
+    this.refill(entry);
+  }
+
+  async getEntry(proxy) {
+    const key = proxy || 'direct';
+    let entry = this.entries.get(key);
+    if (entry && entry.browser && !entry.browser.connected) {
+      this.dropEntry(entry, 'disconnected');
+      entry = null;
+    }
+
+    if (!entry) {
+      if (this.entries.size >= this.maxConnections && !this.evictIdleEntry()) {
+        logger.warn(`BrowserPool: All ${this.maxConnections} connections are in use`);
+        return null;
+      }
+      entry = { key, proxy, browser: null, connecting: null, ready: [], leased: 0, lastUsed: Date.now(), refilling: false };
+      this.entries.set(key, entry);
+      const Browser = require('./puppeteer');
+      entry.connecting = Browser.connect(proxy).then(browser => {
+        entry.browser = browser;
+        browser.on('disconnected', () => this.dropEntry(entry, 'disconnected'));
+        logger.info(`BrowserPool: Connected for ${this.label(entry)}`);
+      });
+    }
+
+    try {
+      await entry.connecting;
+    } catch (err) {
+      this.dropEntry(entry, `connect failed: ${err.message}`);
+      throw err;
+    }
+    return entry;
+  }
+
+  async createSlot(entry) {
+    const Browser = require('./puppeteer');
+    const context = await entry.browser.createBrowserContext();
+    const page = await context.newPage();
+    await new Browser({ proxy: entry.proxy }).preparePage(page);
+    return { context, page };
+  }
+
+  /**
+   * Tops the entry up to `warmContexts` ready contexts in the background.
+   */
+  async refill(entry) {
+    if (entry.refilling) {
+      return;
+    }
+    entry.refilling = true;
+    try {
+      while (this.entries.get(entry.key) === entry && entry.browser && entry.browser.connected && entry.ready.length < this.warmContexts) {
+        entry.ready.push(await this.createSlot(entry));
+      }
+    } catch (err) {
+      logger.warn(`BrowserPool: Could not warm up a context for ${this.label(entry)}: ${err.message}`);
+    } finally {
+      entry.refilling = false;
+    }
+  }
+
+  /**
+   * Drops the least recently used connection without leased contexts.
+   * @returns {boolean} - true if a connection was dropped.
+   */
+  evictIdleEntry() {
+    let candidate = null;
+    for (const entry of this.entries.values()) {
+      if (entry.leased === 0 && entry.browser && (!candidate || entry.lastUsed < candidate.lastUsed)) {
+        candidate = entry;
+      }
+    }
+    if (!candidate) {
+      return false;
+    }
+    this.dropEntry(candidate, 'evicted to make room');
+    return true;
+  }
+
+  dropEntry(entry, reason) {
+    if (this.entries.get(entry.key) !== entry) {
+      return;
+    }
+    this.entries.delete(entry.key);
+    this.counters.evictions++;
+    logger.info(`BrowserPool: Dropping connection for ${this.label(entry)} (${reason})`);
+    const ready = entry.ready.splice(0);
+    ready.forEach(slot => slot.context.close().catch(() => {}));
+    if (entry.browser && entry.browser.connected) {
+      browserBackends.release(entry.browser).catch(() => {});
+    }
+  }
+
+  startMaintenance() {
+    if (this.maintenanceTimer) {
+      return;
+    }
+    this.maintenanceTimer = setInterval(() => this.maintain(), this.maintenanceIntervalMs);
+    this.maintenanceTimer.unref();
+  }
+
+  /**
+   * Evicts idle connections and probes the remaining idle ones with Browser.healthCheck().
+   */
+  async maintain() {
+    const Browser = require('./puppeteer');
+    const now = Date.now();
+    for (const entry of [...this.entries.values()]) {
+      if (entry.leased > 0 || !entry.browser) {
+        continue;
+      }
+      if (now - entry.lastUsed > this.idleTimeoutMs) {
+        this.dropEntry(entry, 'idle');
+        continue;
+      }
+
+      const probe = new Browser({ proxy: entry.proxy });
+      probe.browser = entry.browser;
+      let timeoutHandle;
+      try {
+        await Promise.race([
+          probe.healthCheck(),
+          new Promise((_, reject) => {
+            timeoutHandle = setTimeout(() => reject(new Error('health check timed out')), this.healthCheckTimeoutMs);
+          })
+        ]);
+      } catch (err) {
+        this.counters.healthFailures++;
+        this.dropEntry(entry, `unhealthy: ${err.message}`);
+      } finally {
+        clearTimeout(timeoutHandle);
+      }
+    }
+    logger.debug(`BrowserPool: ${JSON.stringify(this.stats())}`);
+  }
+
+  stats() {
+    let readyContexts = 0;
+    let leasedContexts = 0;
+    for (const entry of this.entries.values()) {
+      readyContexts += entry.ready.length;
+      leasedContexts += entry.leased;
+    }
+    return {
+      enabled: this.enabled,
+      ...this.counters,
+      connections: this.entries.size,
+      maxConnections: this.maxConnections,
+      readyContexts,
+      leasedContexts
+    };
+  }
+
+  label(entry) {
+    return entry.proxy ? maskProxyUrl(entry.proxy) : 'local IP';
+  }
+}
+
+const browserPool = new BrowserPool({
+  enabled: process.env.BROWSER_POOL_ENABLED === 'true',
+  maxConnections: +process.env.BROWSER_POOL_MAX_CONNECTIONS || 5,
+  warmContexts: +process.env.BROWSER_POOL_WARM_CONTEXTS || 1,
+  idleTimeoutMs: +process.env.BROWSER_POOL_IDLE_TIMEOUT_MS || 5 * 60 * 1000,
+  maintenanceIntervalMs: +process.env.BROWSER_POOL_HEALTH_INTERVAL_MS || 60 * 1000
+});
+
+module.exports = { BrowserPool, browserPool };
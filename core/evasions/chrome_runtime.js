@@ -0,0 +1,43 @@
+// core/evasions/chrome_runtime.js
+// Headless Chrome has no window.chrome; regular Chrome exposes chrome.app, chrome.csi and chrome.loadTimes on every page
+module.exports = {
+  name: 'chromeRuntime',
+  description: 'window.chrome with app, csi and loadTimes like in a regular Chrome',
+  script: (utils) => {
+    if (window.chrome && window.chrome.app) {
+      return;
+    }
+    const startTime = Date.now() / 1000;
+    const chrome = window.chrome || {};
+    chrome.app = {
+      isInstalled: false,
+      InstallState: { DISABLED: 'disabled', INSTALLED: 'installed', NOT_INSTALLED: 'not_installed' },
+      RunningState: { CANNOT_RUN: 'cannot_run', READY_TO_RUN: 'ready_to_run', RUNNING: 'running' },
+      getDetails: utils.markNative(function getDetails() { return null; }),
+      getIsInstalled: utils.markNative(function getIsInstalled() { return false; })
+    };
+    chrome.csi = utils.markNative(function csi() {
+      return { onloadT: Date.now(), startE: Math.floor(startTime * 1000), pageT: Date.now() - startTime * 1000, tran: 15 };
+    });
+    chrome.loadTimes = utils.markNative(function loadTimes() {
+      return {
+        requestTime: startTime,
+        startLoadTime: startTime,
+        commitLoadTime: startTime,
+        finishDocumentLoadTime: startTime,
+        finishLoadTime: startTime,
+        firstPaintTime: startTime,
+        firstPaintAfterLoadTime: 0,
+        navigationType: 'Other',
+        wasFetchedViaSpdy: true,
+        wasNpnNegotiated: true,
+        npnNegotiatedProtocol: 'h2',
+        wasAlternateProtocolAvailable: false,
+        connectionInfo: 'h2'
+      };
+    });
+    if (!window.chrome) {
+      Object.defineProperty(window, 'chrome', { value: chrome, writable: true, enumerable: true, configurable: false });
+    }
+  }
+};
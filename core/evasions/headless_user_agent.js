@@ -0,0 +1,15 @@
+// core/evasions/headless_user_agent.js
+// "HeadlessChrome" in the user agent gives headless mode away; the fingerprint profile normally sets a
+// full UA anyway, this covers pages without a profile (useFingerprint: false)
+module.exports = {
+  name: 'headlessUserAgent',
+  description: 'Removes "HeadlessChrome" from navigator.userAgent and navigator.appVersion',
+  script: (utils) => {
+    for (const property of ['userAgent', 'appVersion']) {
+      const value = navigator[property];
+      if (/HeadlessChrome/.test(value)) {
+        utils.defineGetter(Navigator.prototype, property, () => value.replace('HeadlessChrome', 'Chrome'));
+      }
+    }
+  }
+};
@@ -0,0 +1,124 @@
+// core/evasions/index.js
+const logger = require('../../utils/logger');
+const { parseList } = require('../../utils/helpers');
+
+/**
+ * Anti-detection evasions.
+ *
+ * Each evasion is a named unit `{ name, description, script }`. `script(utils)` runs inside the page.
+ * All enabled evasions are combined into one script that is registered with `page.evaluateOnNewDocument`,
+ * so they are in place before any script of every document the page loads (not only the current one).
+ *
+ * `utils` (only visible to the evasions, nothing is left on `window`):
+ * - defineGetter(target, property, getter): replaces a property with a getter
+ * - patchMethod(target, name, (original) => replacement): replaces a method
+ * - markNative(fn): makes `fn.toString()` look like a native function
+ */
+const evasions = new Map();
+
+function registerEvasion({ name, description = '', script }) {
+  evasions.set(name, { name, description, script });
+}
+
+[
+  require('./webdriver'),
+  require('./chrome_runtime'),
+  require('./permissions'),
+  require('./headless_user_agent'),
+  require('./window_outer_size')
+].forEach(registerEvasion);
+
+// Evasions applied to every page (comma separated, empty = none); default: all registered ones
+function getEnabledEvasions() {
+  return parseList(process.env.EVASIONS, [...evasions.keys()]);
+}
+
+function listEvasions() {
+  const enabled = getEnabledEvasions();
+  return [...evasions.values()].map(({ name, description }) => ({ name, description, enabled: enabled.includes(name) }));
+}
+
+// Runs in the page: the shared helpers the evasions get
+function createUtils() {
+  const nativeNames = new WeakMap();
+  const originalToString = Function.prototype.toString;
+  const toString = function toString() {
+    if (nativeNames.has(this)) {
+      return `function ${nativeNames.get(this)}() { [native code] }`;
+    }
+    return originalToString.call(this);
+  };
+  nativeNames.set(toString, 'toString');
+  Function.prototype.toString = toString;
+
+  const markNative = (fn, name = fn.name) => {
+    nativeNames.set(fn, name);
+    return fn;
+  };
+  return {
+    markNative,
+    defineGetter: (target, property, getter) => {
+      const descriptor = Object.getOwnPropertyDescriptor(target, property);
+      Object.defineProperty(target, property, {
+        get: markNative(getter, `get ${property}`),
+        set: descriptor ? descriptor.set : undefined,
+        enumerable: descriptor ? descriptor.enumerable : true,
+        configurable: true
+      });
+    },
+    patchMethod: (target, name, createReplacement) => {
+      const original = target[name];
+      target[name] = markNative(createReplacement(original), name);
+    }
+  };
+}
+
+/**
+ * Builds the page script of the given evasions. Each evasion runs in its own try/catch,
+ * a failing evasion does not keep the others from being applied.
+ */
+function buildEvasionScript(names) {
+  const bodies = names.map(name => {
+    const { script } = evasions.get(name);
+    return `try { (${script.toString()})(utils); } catch (e) {}`;
+  });
+  return `(() => { const utils = (${createUtils.toString()})(); ${bodies.join('\n')} })();`;
+}
+
+/**
+ * Builds a page script that runs `script(utils, arg)` with the same helpers, for other overrides that have to
+ * pass as native functions (core/fingerprint.js). `arg` must be JSON serializable.
+ */
+function buildUtilsScript(script, arg) {
+  return `(() => { const utils = (${createUtils.toString()})(); (${script.toString()})(utils, ${JSON.stringify(arg)}); })();`;
+}
+
+/**
+ * Registers the evasions on a page (before its next navigation).
+ * @param {Object} page - Puppeteer page.
+ * @param {string[]} [names] - Evasions to apply; defaults to EVASIONS.
+ * @returns {Promise<string[]>} - Names of the applied evasions.
+ */
+async function applyEvasions(page, names = getEnabledEvasions()) {
+  const known = names.filter(name => {
+    if (!evasions.has(name)) {
+      logger.warn(`applyEvasions: Unknown evasion "${name}", skipping`);
+      return false;
+    }
+    return true;
+  });
+  if (known.length === 0) {
+    return known;
+  }
+  await page.evaluateOnNewDocument(buildEvasionScript(known));
+  logger.debug(`applyEvasions: Applied ${known.join(', ')}`);
+  return known;
+}
+
+module.exports = {
+  registerEvasion,
+  applyEvasions,
+  buildUtilsScript,
+  listEvasions,
+  getEnabledEvasions
+};
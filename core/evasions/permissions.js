@@ -0,0 +1,19 @@
+// core/evasions/permissions.js
+// Headless Chrome answers permissions.query({ name: 'notifications' }) with "prompt" while
+// Notification.permission is "denied" - a regular Chrome keeps both consistent
+module.exports = {
+  name: 'permissions',
+  description: 'Notification permission and permissions.query() agree with each other',
+  script: (utils) => {
+    if (!window.Permissions || !window.Notification) {
+      return;
+    }
+    utils.patchMethod(Permissions.prototype, 'query', (original) => function query(parameters) {
+      if (parameters && parameters.name === 'notifications') {
+        const state = Notification.permission === 'default' ? 'prompt' : Notification.permission;
+        return Promise.resolve(Object.setPrototypeOf({ state, name: 'notifications', onchange: null }, PermissionStatus.prototype));
+      }
+      return original.call(this, parameters);
+    });
+  }
+};
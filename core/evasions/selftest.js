@@ -0,0 +1,137 @@
+// core/evasions/selftest.js
+const logger = require('../../utils/logger');
+const { applyEvasions, getEnabledEvasions } = require('./index');
+
+// Address the self-test page is loaded from. Without SELFTEST_PAGE_URL the page is not fetched over
+// the network at all: the request to this placeholder URL is answered by V-Login through request
+// interception, so the browser (browserless container) does not have to reach V-Login.
+const SELFTEST_PAGE_URL = process.env.SELFTEST_PAGE_URL || 'https://v-login.selftest/';
+const SELFTEST_TIMEOUT_MS = +process.env.SELFTEST_TIMEOUT_MS || 15000;
+
+// Runs in the page: collects the signals a headless/automated browser can leak. `leaked: true` = detectable.
+async function collectSignals() {
+  const signals = {};
+  const check = async (name, probe) => {
+    try {
+      signals[name] = await probe();
+    } catch (e) {
+      signals[name] = { leaked: true, value: `error: ${e.message}` };
+    }
+  };
+
+  await check('webdriver', () => ({ leaked: navigator.webdriver === true, value: navigator.webdriver }));
+  await check('headlessUserAgent', () => ({
+    leaked: /HeadlessChrome/.test(navigator.userAgent + navigator.appVersion),
+    value: navigator.userAgent
+  }));
+  await check('chromeObject', () => ({
+    leaked: !window.chrome || !window.chrome.app || typeof window.chrome.loadTimes !== 'function',
+    value: window.chrome ? Object.keys(window.chrome) : null
+  }));
+  await check('permissions', async () => {
+    const status = await navigator.permissions.query({ name: 'notifications' });
+    return {
+      leaked: Notification.permission === 'denied' && status.state === 'prompt',
+      value: { notification: Notification.permission, query: status.state }
+    };
+  });
+  await check('plugins', () => ({ leaked: navigator.plugins.length === 0, value: navigator.plugins.length }));
+  await check('languages', () => ({ leaked: !navigator.languages || navigator.languages.length === 0, value: navigator.languages }));
+  await check('windowOuterSize', () => ({
+    leaked: window.outerWidth === 0 || window.outerHeight === 0,
+    value: `${window.outerWidth}x${window.outerHeight}`
+  }));
+  await check('webglRenderer', () => {
+    const gl = document.createElement('canvas').getContext('webgl');
+    const renderer = gl ? gl.getParameter(37446) : null;
+    return { leaked: !renderer || /SwiftShader|llvmpipe/i.test(renderer), value: renderer };
+  });
+  await check('nativeFunctions', () => {
+    const getter = Object.getOwnPropertyDescriptor(Navigator.prototype, 'webdriver');
+    const functions = {
+      'permissions.query': navigator.permissions.query,
+      'get webdriver': getter && getter.get,
+      'Function.prototype.toString': Function.prototype.toString
+    };
+    const patched = Object.keys(functions).filter(name =>
+      functions[name] && !/\[native code\]/.test(Function.prototype.toString.call(functions[name]))
+    );
+    return { leaked: patched.length > 0, value: patched };
+  });
+  await check('navigatorOwnProperties', () => {
+    const own = Object.getOwnPropertyNames(navigator);
+    return { leaked: own.length > 0, value: own };
+  });
+  return signals;
+}
+
+const SELFTEST_HTML = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>V-Login self-test</title>
+<style>body{font-family:sans-serif}td,th{padding:4px 12px;text-align:left}.leak{color:#c00}.ok{color:#080}</style>
+</head>
+<body>
+<h1>V-Login self-test</h1>
+<table id="results"><tr><th>Signal</th><th>Result</th><th>Value</th></tr></table>
+<script>
+const collectSignals = ${collectSignals.toString()};
+window.selfTestResults = collectSignals().then(signals => {
+  const table = document.getElementById('results');
+  for (const [name, { leaked, value }] of Object.entries(signals)) {
+    const row = table.insertRow();
+    row.insertCell().textContent = name;
+    const result = row.insertCell();
+    result.textContent = leaked ? 'leaked' : 'ok';
+    result.className = leaked ? 'leak' : 'ok';
+    row.insertCell().textContent = JSON.stringify(value);
+  }
+  return signals;
+});
+</script>
+</body>
+</html>`;
+
+/**
+ * Opens the self-test page in a browser with the given evasions applied and returns what still leaks.
+ *
+ * @param {Object} options - { evasions: names to apply (default EVASIONS), fingerprint: profile to apply or null }
+ * @returns {Promise<Object>} - { evasions, signals, leaks }
+ */
+async function runSelfTest({ evasions = getEnabledEvasions(), fingerprint = null } = {}) {
+  const Browser = require('../puppeteer');
+  const { applyProfile } = require('../fingerprint');
+  const { browserBackends } = require('../browser_backends');
+
+  const browser = await Browser.connect(null);
+  try {
+    const page = await browser.newPage();
+    const applied = await applyEvasions(page, evasions);
+    if (fingerprint) {
+      await applyProfile(page, fingerprint);
+    }
+
+    if (!process.env.SELFTEST_PAGE_URL) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.url() === SELFTEST_PAGE_URL) {
+          request.respond({ status: 200, contentType: 'text/html', body: SELFTEST_HTML });
+        } else {
+          request.abort();
+        }
+      });
+    }
+
+    await page.goto(SELFTEST_PAGE_URL, { timeout: SELFTEST_TIMEOUT_MS });
+    const signals = await page.evaluate(() => window.selfTestResults);
+    const leaks = Object.keys(signals).filter(name => signals[name].leaked);
+    logger.info(`runSelfTest: ${leaks.length} of ${Object.keys(signals).length} signals leaked${leaks.length > 0 ? ` (${leaks.join(', ')})` : ''}`);
+    return { evasions: applied, signals, leaks };
+  } finally {
+    await browserBackends.release(browser).catch(() => {});
+  }
+}
+
+module.exports = {
+  SELFTEST_HTML,
+  runSelfTest
+};
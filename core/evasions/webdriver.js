@@ -0,0 +1,9 @@
+// core/evasions/webdriver.js
+// navigator.webdriver is true in automated browsers; a regular Chrome reports false (not undefined)
+module.exports = {
+  name: 'webdriver',
+  description: 'navigator.webdriver reports false, like a browser that is not automated',
+  script: (utils) => {
+    utils.defineGetter(Navigator.prototype, 'webdriver', () => false);
+  }
+};
@@ -0,0 +1,13 @@
+// core/evasions/window_outer_size.js
+// Headless windows have outerWidth/outerHeight 0; a regular window is at least as large as its viewport
+module.exports = {
+  name: 'windowOuterSize',
+  description: 'window.outerWidth/outerHeight are never 0',
+  script: (utils) => {
+    if (window.outerWidth && window.outerHeight) {
+      return;
+    }
+    utils.defineGetter(window, 'outerWidth', () => window.innerWidth);
+    utils.defineGetter(window, 'outerHeight', () => window.innerHeight + 85); // browser UI (tabs, address bar)
+  }
+};
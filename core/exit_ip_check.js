@@ -0,0 +1,73 @@
+// core/exit_ip_check.js
+const { URL } = require('url');
+const logger = require('../utils/logger');
+const { getHostIp, resolveHostIps } = require('../utils/ipUtils');
+const { fixProxyUrl, maskProxyUrl } = require('../utils/proxyPool');
+
+/**
+ * PROXY_EXIT_IP_CHECK:
+ * - "differ" (default): the browser's exit IP must not be the host IP
+ * - "strict": additionally, the exit IP must be one of the IPs the proxy host resolves to
+ *             (datacenter proxies; rotating gateways exit elsewhere and need "differ")
+ * - "off": no check
+ */
+const EXIT_IP_CHECK_MODE = (process.env.PROXY_EXIT_IP_CHECK || 'differ').toLowerCase();
+const EXIT_IP_CACHE_TTL_MS = +process.env.PROXY_EXIT_IP_CACHE_TTL_MS || 10 * 60 * 1000; // 10 Min
+
+// proxy -> { exitIp, verifiedAt }
+const verifiedProxies = new Map();
+
+/**
+ * Checks that traffic of the browser really leaves through the given proxy.
+ * A successful check is cached per proxy for PROXY_EXIT_IP_CACHE_TTL_MS, so only the first
+ * login through a proxy pays for the extra round trip.
+ *
+ * @param {string} proxy - The proxy the browser was started with.
+ * @param {Function} fetchExitIp - async () => exit IP as seen by the browser (or null).
+ * @returns {Promise<Object>} - { ok: true, exitIp, cached } or { ok: false, exitIp, reason }
+ */
+async function verifyExitIp(proxy, fetchExitIp) {
+  if (!proxy || EXIT_IP_CHECK_MODE === 'off') {
+    return { ok: true, exitIp: null, cached: false, skipped: true };
+  }
+
+  const cached = verifiedProxies.get(proxy);
+  if (cached && Date.now() - cached.verifiedAt < EXIT_IP_CACHE_TTL_MS) {
+    logger.debug(`verifyExitIp: Using cached exit IP ${cached.exitIp} for ${maskProxyUrl(proxy)}`);
+    return { ok: true, exitIp: cached.exitIp, cached: true };
+  }
+
+  let exitIp = null;
+  try {
+    exitIp = await fetchExitIp();
+  } catch (err) {
+    return mismatch(proxy, null, `Exit IP check failed: ${err.message}`);
+  }
+  if (!exitIp) {
+    return mismatch(proxy, null, 'Exit IP could not be determined');
+  }
+
+  const hostIp = await getHostIp();
+  if (hostIp && exitIp === hostIp) {
+    return mismatch(proxy, exitIp, `Exit IP ${exitIp} is the host IP, traffic does not go through the proxy`);
+  }
+
+  if (EXIT_IP_CHECK_MODE === 'strict') {
+    const expectedIps = await resolveHostIps(new URL(fixProxyUrl(proxy)).hostname);
+    if (!expectedIps.includes(exitIp)) {
+      return mismatch(proxy, exitIp, `Exit IP ${exitIp} does not match the proxy address (${expectedIps.join(', ') || 'unresolved'})`);
+    }
+  }
+
+  verifiedProxies.set(proxy, { exitIp, verifiedAt: Date.now() });
+  logger.info(`verifyExitIp: Exit IP ${exitIp} verified for ${maskProxyUrl(proxy)}`);
+  return { ok: true, exitIp, cached: false };
+}
+
+function mismatch(proxy, exitIp, reason) {
+  verifiedProxies.delete(proxy);
+  logger.warn(`verifyExitIp: ${maskProxyUrl(proxy)}: ${reason}`);
+  return { ok: false, exitIp, reason };
+}
+
+module.exports = { verifyExitIp };
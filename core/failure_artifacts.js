@@ -0,0 +1,249 @@
+// core/failure_artifacts.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { createTar } = require('../utils/tar');
+
+/**
+ * Failure artifacts: evidence of failed login attempts, stored on disk per request.
+ *
+ * <ARTIFACTS_DIR>/<requestId>/attempt-<n>/
+ *   screenshot.png   - the page when the attempt failed
+ *   page.html        - the final DOM (page.content())
+ *   responses.json   - every response the page received: URL, method, status, type, timing
+ *   console.json     - console messages and uncaught page errors
+ *   meta.json        - error code, attempt, login URL, masked proxy, time
+ * Password fields are emptied before the screenshot, and the password is replaced with *** in everything saved.
+ * Bundles older than ARTIFACTS_MAX_AGE_HOURS or beyond the newest ARTIFACTS_MAX_REQUESTS are deleted.
+ */
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const ARTIFACTS_ENABLED = process.env.ARTIFACTS_ENABLED !== 'false';
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || 'proxy_data/artifacts';
+const ARTIFACTS_MAX_AGE_HOURS = +process.env.ARTIFACTS_MAX_AGE_HOURS || 72;
+const ARTIFACTS_MAX_REQUESTS = +process.env.ARTIFACTS_MAX_REQUESTS || 200;
+// Longest a failed attempt waits for its screenshot and DOM
+const ARTIFACTS_CAPTURE_TIMEOUT_MS = +process.env.ARTIFACTS_CAPTURE_TIMEOUT_MS || 5000;
+const MAX_RECORDED_ENTRIES = 500;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+// Bundles are written one after another in the background
+let writeChain = Promise.resolve();
+
+function isValidRequestId(requestId) {
+  return typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId);
+}
+
+/**
+ * Replaces the password (plain, URL and form encoded) in a text.
+ */
+function maskPassword(text, password) {
+  if (!password || typeof text !== 'string') {
+    return text;
+  }
+  const variants = new Set([password, encodeURIComponent(password), new URLSearchParams({ p: password }).toString().slice(2)]);
+  return [...variants].reduce((masked, secret) => masked.split(secret).join('***'), text);
+}
+
+/**
+ * Also empties value attributes of password inputs, in case the page reflects them into the DOM.
+ */
+function maskDom(html, password) {
+  return maskPassword(html, password).replace(/(<input\b[^>]*\btype=["']?password["']?[^>]*\bvalue=)(["'])[^"']*\2/gi, '$1$2$2');
+}
+
+/**
+ * Starts recording the responses and console messages of a page (at most MAX_RECORDED_ENTRIES each).
+ * @returns {Object} - { responses, consoleMessages, stop() }
+ */
+function startRecording(page) {
+  const startTime = Date.now();
+  const recording = { responses: [], consoleMessages: [] };
+  const onResponse = response => {
+    if (recording.responses.length >= MAX_RECORDED_ENTRIES) {
+      return;
+    }
+    const timing = response.timing();
+    recording.responses.push({
+      url: response.url(),
+      method: response.request().method(),
+      status: response.status(),
+      resourceType: response.request().resourceType(),
+      atMs: Date.now() - startTime,
+      headersReceivedMs: timing ? Math.round(timing.receiveHeadersEnd) : null
+    });
+  };
+  const onConsole = message => {
+    if (recording.consoleMessages.length < MAX_RECORDED_ENTRIES) {
+      recording.consoleMessages.push({ type: message.type(), text: message.text(), atMs: Date.now() - startTime });
+    }
+  };
+  const onPageError = err => {
+    if (recording.consoleMessages.length < MAX_RECORDED_ENTRIES) {
+      recording.consoleMessages.push({ type: 'pageerror', text: err.message, atMs: Date.now() - startTime });
+    }
+  };
+  page.on('response', onResponse);
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  recording.stop = () => {
+    page.off('response', onResponse);
+    page.off('console', onConsole);
+    page.off('pageerror', onPageError);
+  };
+  return recording;
+}
+
+function withTimeout(promise, what) {
+  let timeoutHandle;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timeoutHandle = setTimeout(() => reject(new Error(`No ${what} within ${ARTIFACTS_CAPTURE_TIMEOUT_MS}ms`)), ARTIFACTS_CAPTURE_TIMEOUT_MS);
+    })
+  ]).finally(() => clearTimeout(timeoutHandle));
+}
+
+async function writeBundle(directory, files) {
+  await fs.promises.mkdir(directory, { recursive: true });
+  for (const [name, data] of Object.entries(files)) {
+    await fs.promises.writeFile(path.join(directory, name), data);
+  }
+}
+
+/**
+ * Saves the artifact bundle of a failed attempt. Screenshot and DOM are taken right away (bounded by
+ * ARTIFACTS_CAPTURE_TIMEOUT_MS, a missing part is noted in meta.json), the files are written in the background.
+ * Never throws.
+ * @param {Object} page - Puppeteer page of the attempt.
+ * @param {Object} failure - { requestId, attempt, error, url, proxy (masked), password, recording (startRecording()) }
+ * @returns {Promise<Buffer|null|undefined>} - The screenshot (password fields emptied), so the notifiers can reuse it;
+ *   null if it could not be taken, undefined if no artifacts are captured.
+ */
+async function captureFailureArtifacts(page, { requestId, attempt, error, url, proxy, password, recording }) {
+  recording.stop();
+  if (!ARTIFACTS_ENABLED || !page || !isValidRequestId(requestId)) {
+    return undefined;
+  }
+  const meta = { requestId, attempt, error, url: maskPassword(url, password), proxy, capturedAt: new Date().toISOString(), missing: [] };
+  const files = {};
+
+  try {
+    await withTimeout(page.evaluate(secret => {
+      document.querySelectorAll('input').forEach(input => {
+        if (input.type === 'password' || (secret && input.value === secret)) {
+          input.value = '';
+        }
+      });
+    }, password), 'password masking');
+    files['screenshot.png'] = Buffer.from(await withTimeout(page.screenshot({ fullPage: true }), 'screenshot'));
+  } catch (err) {
+    meta.missing.push({ file: 'screenshot.png', reason: err.message });
+  }
+  try {
+    files['page.html'] = maskDom(await withTimeout(page.content(), 'page content'), password);
+  } catch (err) {
+    meta.missing.push({ file: 'page.html', reason: err.message });
+  }
+  const responses = recording.responses.map(response => ({ ...response, url: maskPassword(response.url, password) }));
+  const consoleMessages = recording.consoleMessages.map(message => ({ ...message, text: maskPassword(message.text, password) }));
+  files['responses.json'] = JSON.stringify(responses, null, 2);
+  files['console.json'] = JSON.stringify(consoleMessages, null, 2);
+  files['meta.json'] = JSON.stringify(meta, null, 2);
+
+  const directory = path.join(ARTIFACTS_DIR, requestId, `attempt-${attempt || 1}`);
+  writeChain = writeChain
+    .then(() => writeBundle(directory, files))
+    .then(() => {
+      logger.info(`captureFailureArtifacts: Saved ${Object.keys(files).length} artifacts of request ${requestId} attempt ${attempt} (${error}) to ${directory}`);
+      return pruneArtifacts();
+    })
+    .catch(err => logger.error(`captureFailureArtifacts: Could not save the artifacts of request ${requestId}: ${err.message}`));
+  return files['screenshot.png'] || null;
+}
+
+async function directorySize(directory) {
+  let size = 0;
+  for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    size += entry.isDirectory() ? await directorySize(entryPath) : (await fs.promises.stat(entryPath)).size;
+  }
+  return size;
+}
+
+/**
+ * Stored bundles, newest first: [{ requestId, createdAt, attempts, sizeBytes }].
+ */
+async function listArtifacts() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(ARTIFACTS_DIR, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  const bundles = [];
+  for (const entry of entries.filter(item => item.isDirectory() && isValidRequestId(item.name))) {
+    const directory = path.join(ARTIFACTS_DIR, entry.name);
+    const stats = await fs.promises.stat(directory);
+    const attempts = (await fs.promises.readdir(directory)).filter(name => name.startsWith('attempt-')).sort();
+    bundles.push({ requestId: entry.name, createdAt: stats.mtime.toISOString(), attempts, sizeBytes: await directorySize(directory) });
+  }
+  return bundles.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+}
+
+/**
+ * Deletes bundles older than ARTIFACTS_MAX_AGE_HOURS and all but the newest ARTIFACTS_MAX_REQUESTS.
+ */
+async function pruneArtifacts() {
+  const bundles = await listArtifacts();
+  const maxAgeMs = ARTIFACTS_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const expired = bundles.filter((bundle, index) => index >= ARTIFACTS_MAX_REQUESTS || Date.now() - Date.parse(bundle.createdAt) > maxAgeMs);
+  for (const { requestId } of expired) {
+    await fs.promises.rm(path.join(ARTIFACTS_DIR, requestId), { recursive: true, force: true });
+  }
+  if (expired.length > 0) {
+    logger.info(`pruneArtifacts: Deleted ${expired.length} artifact bundle(s)`);
+  }
+}
+
+/**
+ * The bundle of a request as tar archive (entries "<requestId>/attempt-<n>/<file>"), or null if there is none.
+ */
+async function getArtifactArchive(requestId) {
+  if (!isValidRequestId(requestId)) {
+    return null;
+  }
+  await writeChain;
+  const directory = path.join(ARTIFACTS_DIR, requestId);
+  if (!fs.existsSync(directory)) {
+    return null;
+  }
+  const entries = [];
+  for (const attempt of (await fs.promises.readdir(directory)).sort()) {
+    for (const name of (await fs.promises.readdir(path.join(directory, attempt))).sort()) {
+      const filePath = path.join(directory, attempt, name);
+      const stats = await fs.promises.stat(filePath);
+      entries.push({ name: `${requestId}/${attempt}/${name}`, data: await fs.promises.readFile(filePath), mtime: stats.mtimeMs });
+    }
+  }
+  return createTar(entries);
+}
+
+if (ARTIFACTS_ENABLED) {
+  pruneArtifacts().catch(err => logger.warn(`pruneArtifacts: ${err.message}`));
+}
+
+module.exports = {
+  startRecording,
+  captureFailureArtifacts,
+  listArtifacts,
+  getArtifactArchive,
+  isValidRequestId,
+  maskPassword,
+  maskDom
+};
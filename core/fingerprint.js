@@ -0,0 +1,298 @@
+// core/fingerprint.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { parseList } = require('../utils/helpers');
+const { getFingerprint, setFingerprint } = require('../utils/fingerprintStore');
+const { buildUtilsScript } = require('./evasions');
+
+// Operating systems and locales profiles are generated for
+const FINGERPRINT_OS = parseList(process.env.FINGERPRINT_OS, ['windows', 'macos', 'linux']);
+const FINGERPRINT_LOCALES = parseList(process.env.FINGERPRINT_LOCALES, ['en-US']);
+
+// Chrome releases: the UA only carries the major version, client hints the full one
+const CHROME_VERSIONS = ['131.0.6778.86', '132.0.6834.110', '133.0.6943.127', '134.0.6998.89'];
+
+// Everything that has to fit together per operating system
+const OS_TEMPLATES = {
+  windows: {
+    uaPlatform: 'Windows NT 10.0; Win64; x64',
+    platform: 'Win32',
+    chPlatform: 'Windows',
+    platformVersions: ['10.0.0', '15.0.0'],
+    architecture: 'x86',
+    pixelRatios: [1],
+    screens: [[1920, 1080], [2560, 1440], [1366, 768], [1536, 864]],
+    taskbarHeight: 40,
+    webgl: [
+      ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1660 SUPER Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+      ['Google Inc. (NVIDIA)', 'ANGLE (NVIDIA, NVIDIA GeForce RTX 3060 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+      ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) UHD Graphics 630 Direct3D11 vs_5_0 ps_5_0, D3D11)'],
+      ['Google Inc. (AMD)', 'ANGLE (AMD, AMD Radeon RX 580 Series Direct3D11 vs_5_0 ps_5_0, D3D11)']
+    ]
+  },
+  macos: {
+    uaPlatform: 'Macintosh; Intel Mac OS X 10_15_7',
+    platform: 'MacIntel',
+    chPlatform: 'macOS',
+    platformVersions: ['13.6.0', '14.4.1', '15.1.0'],
+    architecture: 'arm',
+    pixelRatios: [2],
+    screens: [[1440, 900], [1512, 982], [1728, 1117]],
+    taskbarHeight: 25,
+    webgl: [
+      ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)'],
+      ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M2, Unspecified Version)']
+    ]
+  },
+  linux: {
+    uaPlatform: 'X11; Linux x86_64',
+    platform: 'Linux x86_64',
+    chPlatform: 'Linux',
+    platformVersions: ['6.5.0', '6.8.0'],
+    architecture: 'x86',
+    pixelRatios: [1],
+    screens: [[1920, 1080], [2560, 1440]],
+    taskbarHeight: 0,
+    webgl: [
+      ['Google Inc. (Intel)', 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)'],
+      ['Google Inc. (AMD)', 'ANGLE (AMD, AMD Radeon RX 6600 (radeonsi, navi23, LLVM 15.0.7), OpenGL 4.6)']
+    ]
+  }
+};
+
+const LOCALE_TEMPLATES = {
+  'en-US': { languages: ['en-US', 'en'], timezones: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'] },
+  'en-GB': { languages: ['en-GB', 'en'], timezones: ['Europe/London'] },
+  'de-DE': { languages: ['de-DE', 'de', 'en-US', 'en'], timezones: ['Europe/Berlin'] },
+  'fr-FR': { languages: ['fr-FR', 'fr', 'en-US', 'en'], timezones: ['Europe/Paris'] }
+};
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from a string, so a seed always yields the same profile.
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.pick = list => list[Math.floor(next() * list.length)];
+  return next;
+}
+
+/**
+ * Generates a self-consistent fingerprint profile: UA, platform, client hints, languages and timezone,
+ * screen/viewport, hardware, WebGL vendor and the seed of the canvas noise all belong to the same machine.
+ *
+ * @param {string} [seed] - Same seed, same profile. A random seed is used if omitted.
+ * @returns {Object} - The profile.
+ */
+function generateProfile(seed = crypto.randomUUID()) {
+  const random = createRandom(seed);
+  const osNames = FINGERPRINT_OS.filter(name => OS_TEMPLATES[name]);
+  const osName = random.pick(osNames.length > 0 ? osNames : ['windows']);
+  const os = OS_TEMPLATES[osName];
+  const localeNames = FINGERPRINT_LOCALES.filter(name => LOCALE_TEMPLATES[name]);
+  const locale = LOCALE_TEMPLATES[random.pick(localeNames.length > 0 ? localeNames : ['en-US'])];
+
+  const fullVersion = random.pick(CHROME_VERSIONS);
+  const majorVersion = fullVersion.split('.')[0];
+  const [screenWidth, screenHeight] = random.pick(os.screens);
+  const [webglVendor, webglRenderer] = random.pick(os.webgl);
+  const brands = [
+    { brand: 'Google Chrome', version: majorVersion },
+    { brand: 'Chromium', version: majorVersion },
+    { brand: 'Not_A Brand', version: '24' }
+  ];
+
+  return {
+    seed,
+    os: osName,
+    userAgent: `Mozilla/5.0 (${os.uaPlatform}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${majorVersion}.0.0.0 Safari/537.36`,
+    platform: os.platform,
+    userAgentMetadata: {
+      brands,
+      fullVersionList: brands.map(({ brand }) => ({ brand, version: brand === 'Not_A Brand' ? '24.0.0.0' : fullVersion })),
+      fullVersion,
+      platform: os.chPlatform,
+      platformVersion: random.pick(os.platformVersions),
+      architecture: os.architecture,
+      model: '',
+      mobile: false,
+      bitness: '64',
+      wow64: false
+    },
+    languages: locale.languages,
+    timezone: random.pick(locale.timezones),
+    screen: {
+      width: screenWidth,
+      height: screenHeight,
+      availWidth: screenWidth,
+      availHeight: screenHeight - os.taskbarHeight,
+      colorDepth: 24,
+      pixelRatio: random.pick(os.pixelRatios)
+    },
+    viewport: {
+      width: screenWidth,
+      height: screenHeight - os.taskbarHeight - 85 // browser UI (tabs, address bar)
+    },
+    hardwareConcurrency: random.pick([4, 8, 12, 16]),
+    deviceMemory: random.pick([4, 8]),
+    webgl: { vendor: webglVendor, renderer: webglRenderer },
+    canvasSeed: Math.floor(random() * 0xFFFFFFFF)
+  };
+}
+
+/**
+ * Applies a profile to a fresh page, before its first navigation.
+ */
+async function applyProfile(page, profile) {
+  logger.debug(`applyProfile: Applying ${profile.os} profile (${profile.userAgent}, ${profile.timezone})`);
+  await page.setUserAgent(profile.userAgent, profile.userAgentMetadata);
+  await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage(profile.languages) });
+  await page.emulateTimezone(profile.timezone);
+  await page.setViewport({
+    width: profile.viewport.width,
+    height: profile.viewport.height,
+    deviceScaleFactor: profile.screen.pixelRatio
+  });
+
+  // Every override goes through the evasion helpers, so its toString() shows native code (core/evasions)
+  await page.evaluateOnNewDocument(buildUtilsScript((utils, fp) => {
+    const define = (target, property, value) => {
+      utils.defineGetter(target, property, () => value);
+    };
+    define(Navigator.prototype, 'platform', fp.platform);
+    define(Navigator.prototype, 'languages', Object.freeze([...fp.languages]));
+    define(Navigator.prototype, 'language', fp.languages[0]);
+    define(Navigator.prototype, 'hardwareConcurrency', fp.hardwareConcurrency);
+    define(Navigator.prototype, 'deviceMemory', fp.deviceMemory);
+    for (const key of ['width', 'height', 'availWidth', 'availHeight', 'colorDepth']) {
+      define(Screen.prototype, key, fp.screen[key]);
+    }
+    define(Screen.prototype, 'pixelDepth', fp.screen.colorDepth);
+
+    // WebGL: UNMASKED_VENDOR_WEBGL (37445) / UNMASKED_RENDERER_WEBGL (37446)
+    for (const context of [window.WebGLRenderingContext, window.WebGL2RenderingContext]) {
+      if (!context) continue;
+      utils.patchMethod(context.prototype, 'getParameter', (original) => function getParameter(parameter) {
+        if (parameter === 37445) return fp.webgl.vendor;
+        if (parameter === 37446) return fp.webgl.renderer;
+        return original.call(this, parameter);
+      });
+    }
+
+    // Canvas: noise derived from the profile seed and the pixel position - the same drawing
+    // always yields the same (but profile specific) hash, and the canvas itself is never modified.
+    const noise = (index) => {
+      let h = (fp.canvasSeed ^ Math.imul(index, 0x9E3779B1)) >>> 0;
+      h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B) >>> 0;
+      h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35) >>> 0;
+      return ((h ^ (h >>> 16)) % 3) - 1;
+    };
+    const addNoise = (imageData) => {
+      for (let i = 0; i < imageData.data.length; i += 4) {
+        for (let channel = 0; channel < 3; channel++) {
+          const value = imageData.data[i + channel] + noise(i + channel);
+          imageData.data[i + channel] = Math.max(0, Math.min(255, value));
+        }
+      }
+      return imageData;
+    };
+    utils.patchMethod(CanvasRenderingContext2D.prototype, 'getImageData', (original) => function getImageData(sx, sy, sw, sh) {
+      return addNoise(original.apply(this, arguments));
+    });
+    // Canvases the page created a 2D context for. toDataURL() must not call getContext('2d') itself:
+    // on a canvas without a context that would create one (and a later WebGL context would fail).
+    const canvases2d = new WeakSet();
+    utils.patchMethod(HTMLCanvasElement.prototype, 'getContext', (original) => function getContext(contextType) {
+      const context = original.apply(this, arguments);
+      if (context && contextType === '2d') {
+        canvases2d.add(this);
+      }
+      return context;
+    });
+    utils.patchMethod(HTMLCanvasElement.prototype, 'toDataURL', (original) => function toDataURL() {
+      if (!canvases2d.has(this) || !this.width || !this.height) {
+        return original.apply(this, arguments);
+      }
+      const copy = document.createElement('canvas');
+      copy.width = this.width;
+      copy.height = this.height;
+      copy.getContext('2d').putImageData(this.getContext('2d').getImageData(0, 0, this.width, this.height), 0, 0);
+      return original.apply(copy, arguments);
+    });
+  }, profile));
+}
+
+/**
+ * Returns the stored profile of an account, generating and storing one on its first login.
+ * Every later login of that account presents the same fingerprint.
+ */
+function getProfileForAccount(username) {
+  const now = Date.now();
+  let entry = getFingerprint(username);
+  if (!entry) {
+    entry = { profile: generateProfile(), pinned: false, createdAt: now, rotatedAt: null, lastUsed: now };
+    logger.info(`getProfileForAccount: Created ${entry.profile.os} fingerprint profile for ${username}`);
+  } else {
+    entry.lastUsed = now;
+  }
+  setFingerprint(username, entry);
+  return entry.profile;
+}
+
+/**
+ * Replaces the profile of an account with a newly generated one.
+ * @returns {Object|null} - The new entry, or null if the profile is pinned (and `force` is not set).
+ */
+function rotateProfile(username, { force = false } = {}) {
+  const entry = getFingerprint(username);
+  if (entry && entry.pinned && !force) {
+    return null;
+  }
+  const now = Date.now();
+  const rotated = {
+    profile: generateProfile(),
+    pinned: false,
+    createdAt: entry ? entry.createdAt : now,
+    rotatedAt: now,
+    lastUsed: entry ? entry.lastUsed : null
+  };
+  logger.info(`rotateProfile: Rotated fingerprint profile of ${username} to ${rotated.profile.os}`);
+  return setFingerprint(username, rotated);
+}
+
+/**
+ * Pins (or unpins) the profile of an account. With a seed, the profile generated from that seed is pinned.
+ */
+function pinProfile(username, { pinned = true, seed } = {}) {
+  const now = Date.now();
+  const entry = getFingerprint(username) || { profile: generateProfile(seed), createdAt: now, rotatedAt: null, lastUsed: null };
+  if (seed !== undefined && entry.profile.seed !== seed) {
+    entry.profile = generateProfile(seed);
+    entry.rotatedAt = now;
+  }
+  entry.pinned = pinned;
+  logger.info(`pinProfile: Fingerprint profile of ${username} ${pinned ? 'pinned' : 'unpinned'}`);
+  return setFingerprint(username, entry);
+}
+
+/**
+ * "de-DE,de;q=0.9,en-US;q=0.8,en;q=0.7"
+ */
+function acceptLanguage(languages) {
+  return languages
+    .map((language, index) => (index === 0 ? language : `${language};q=${(1 - index * 0.1).toFixed(1)}`))
+    .join(',');
+}
+
+module.exports = {
+  generateProfile,
+  applyProfile,
+  getProfileForAccount,
+  rotateProfile,
+  pinProfile
+};
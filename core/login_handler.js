@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
-const { setTimeoutPromise } = require('../utils/helpers');
+const { setTimeoutPromise, abortable, isAbortError } = require('../utils/helpers');
+const { LoginEventType } = require('../utils/loginEvents');
 
 /**
  * Helper function: Lists all existing input fields with relevant information.
@@ -93,9 +94,12 @@ async function logLoginButton(page, uniqueSessionId) {
  * @param {string} username - Login username
  * @param {string} password - Login password
  * @param {string} [uniqueSessionId] - Optional unique session ID (auto-generated if not provided)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the login; performLogin then rejects with an AbortError
+ * @param {Function} [options.onStep] - Called with (LoginEventType, data) at each step (credentials typed, consent page, ory-code)
  * @returns {Promise<Object>} - Return object: { token: <ory-code> } on success or { error: <error code> }
  */
-async function performLogin(page, username, password, uniqueSessionId = uuidv4()) {
+async function performLogin(page, username, password, uniqueSessionId = uuidv4(), { signal, onStep = () => {} } = {}) {
   logger.debug(`[${uniqueSessionId}] Starting performLogin with username: ${username}`);
   let foundCode = null;        // Falls ein "ory_ac_..." Code in einer Response gefunden wird
   let bannedStatus = false;    // Wird true, wenn eine Response mit 418 zurückkommt
@@ -189,6 +193,7 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
       await page.focus('input#password');
       await page.keyboard.type(password);
       logger.debug(`[${uniqueSessionId}] Password typed successfully`);
+      onStep(LoginEventType.CREDENTIALS_ENTERED);
     } catch (err) {
       logger.warn(`[${uniqueSessionId}] Could not find 'input#password': ${err.message}`);
       await debugAvailableInputs(page, uniqueSessionId);
@@ -197,7 +202,7 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
 
     // Short wait after entering the data
     logger.debug(`[${uniqueSessionId}] Waiting 1 second after entering credentials`);
-    await setTimeoutPromise(1000);
+    await setTimeoutPromise(1000, signal);
 
     if (foundCode) {
       logger.info(`[${uniqueSessionId}] ory-code already found before login click: ${foundCode}`);
@@ -217,12 +222,13 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
 
       // Waiting time after click
       logger.debug(`[${uniqueSessionId}] Waiting 1 second after login button click`);
-      await setTimeoutPromise(1000);
+      await setTimeoutPromise(1000, signal);
       logger.info(`[${uniqueSessionId}] URL after login click: ${page.url()}`);
 
       // If a consent page is detected, handle it
       if (page.url().includes("consent")) {
         logger.info(`[${uniqueSessionId}] Consent page detected. Initiating consent flow...`);
+        onStep(LoginEventType.CONSENT_PAGE);
         try {
           await page.waitForSelector(loginButtonSelector, { timeout: 10000, visible: true });
           logger.debug(`[${uniqueSessionId}] Consent allow button visible. Clicking to accept consent...`);
@@ -237,7 +243,7 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
 
       // Further short wait before the final checks
       logger.debug(`[${uniqueSessionId}] Waiting 1 additional second before finalizing login process`);
-      await setTimeoutPromise(1000);
+      await setTimeoutPromise(1000, signal);
     }
 
     // Finaler Check nach Klick/Consent-Flow
@@ -245,7 +251,7 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
       logger.info(`[${uniqueSessionId}] ory-code found during login process: ${foundCode}`);
     } else {
       logger.debug(`[${uniqueSessionId}] No ory-code found from responses so far. Waiting additional 2000ms before final check...`);
-      await setTimeoutPromise(2000);
+      await setTimeoutPromise(2000, signal);
       const finalUrlAfterWait = page.url();
       logger.info(`[${uniqueSessionId}] URL after waiting: ${finalUrlAfterWait}`);
       const finalMatchAfterWait = oryRegex.exec(finalUrlAfterWait);
@@ -295,21 +301,30 @@ async function performLogin(page, username, password, uniqueSessionId = uuidv4()
     }
     if (foundCode) {
       logger.info(`[${uniqueSessionId}] Login successful. Returning ory-code: ${foundCode}`);
+      // The code itself is not part of the event, it is only returned to the caller
+      onStep(LoginEventType.ORY_CODE_CAPTURED);
       return { token: foundCode };
     }
     logger.warn(`[${uniqueSessionId}] No recognized error or code found => login failed (returning "LOGIN_FAILED")`);
     return { error: "LOGIN_FAILED", serviceUnavailable: serviceUnavailable };
   })();
 
+  // The process may still fail after the race is decided (timeout/abort closes the page under it)
+  loginProcess.catch(() => {});
+
   try {
-    const result = await Promise.race([loginProcess, timeoutPromise]);
-    clearTimeout(timeoutHandle);
+    const result = await abortable(Promise.race([loginProcess, timeoutPromise]), signal);
     logger.debug(`[${uniqueSessionId}] Login process completed with result: ${JSON.stringify(result)}`);
     return result;
   } catch (error) {
+    if (isAbortError(error)) {
+      logger.warn(`[${uniqueSessionId}] Login process aborted: ${error.message}`);
+      throw error;
+    }
     logger.error(`[${uniqueSessionId}] Global login error: ${error.message}`);
     return { error: "LOGIN_FAILED" };
   } finally {
+    clearTimeout(timeoutHandle);
     logger.debug(`[${uniqueSessionId}] Detaching response listener from page`);
     page.off('response', responseListener);
   }
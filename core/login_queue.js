@@ -0,0 +1,191 @@
+// core/login_queue.js
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { AuthResponseStatus } = require('./auth_response');
+
+const JobState = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Bounded in-memory FIFO queue for login jobs.
+ * - At most `concurrency` jobs are running at the same time.
+ * - At most `maxQueueSize` jobs are waiting; further jobs are refused.
+ * - Finished jobs are kept for `jobTtlMs` so their result can still be fetched.
+ *
+ * The worker receives (job, payload) and must resolve with { statusCode, body }.
+ * The payload (credentials) is kept out of the job object so it is never reported.
+ * Every job carries its own AbortController; cancelling a running job aborts `job.signal`
+ * so the worker can tear down its browser session right away.
+ * A job cancelled before it started never reaches the worker; `onCancelled` receives (job, payload, response) instead.
+ */
+class LoginQueue {
+  constructor({ concurrency = 1, maxQueueSize = 20, jobTtlMs = 10 * 60 * 1000, worker, onCancelled = null }) {
+    this.concurrency = concurrency;
+    this.maxQueueSize = maxQueueSize;
+    this.jobTtlMs = jobTtlMs;
+    this.worker = worker;
+    this.onCancelled = onCancelled;
+
+    this.jobs = new Map();
+    this.payloads = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Adds a job to the queue.
+   * @returns {Object|null} - The job, or null if the queue is full.
+   */
+  enqueue(payload, id = uuidv4()) {
+    if (this.pending.length >= this.maxQueueSize) {
+      logger.warn(`[Job ${id}] Login queue is full (${this.pending.length}/${this.maxQueueSize}), rejecting job`);
+      return null;
+    }
+
+    const job = {
+      id,
+      state: JobState.QUEUED,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      response: null
+    };
+    job.controller = new AbortController();
+    job.signal = job.controller.signal;
+    job.done = new Promise(resolve => {
+      job.resolveDone = resolve;
+    });
+
+    this.jobs.set(id, job);
+    this.payloads.set(id, payload);
+    this.pending.push(job);
+    logger.info(`[Job ${id}] Queued (position ${this.pending.length}, running ${this.running}/${this.concurrency})`);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancels a queued or running job.
+   * A running job is marked as cancelled right away and its signal is aborted;
+   * whatever its worker returns later is discarded.
+   * @returns {boolean} - false if the job does not exist or has already finished.
+   */
+  cancel(id, reason = 'Login job was cancelled') {
+    const job = this.jobs.get(id);
+    if (!job || job.state === JobState.DONE || job.state === JobState.CANCELLED) {
+      return false;
+    }
+    const wasQueued = job.state === JobState.QUEUED;
+    const payload = this.payloads.get(id);
+    if (wasQueued) {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+    }
+    logger.info(`[Job ${id}] Cancelled while ${job.state}: ${reason}`);
+    const response = {
+      statusCode: 409,
+      body: { status: AuthResponseStatus.ERROR, description: 'Login job was cancelled' }
+    };
+    this.finish(job, JobState.CANCELLED, response);
+    job.controller.abort(new Error(reason));
+    if (wasQueued && this.onCancelled) {
+      try {
+        this.onCancelled(job, payload, response);
+      } catch (error) {
+        logger.error(`[Job ${id}] onCancelled failed: ${error.message}`);
+      }
+    }
+    return true;
+  }
+
+  position(job) {
+    const index = this.pending.indexOf(job);
+    return index === -1 ? null : index + 1;
+  }
+
+  stats() {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency,
+      maxQueueSize: this.maxQueueSize
+    };
+  }
+
+  /**
+   * Public representation of a job (for the status endpoint).
+   */
+  describe(job) {
+    const description = {
+      jobId: job.id,
+      state: job.state,
+      createdAt: new Date(job.createdAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+    if (job.state === JobState.QUEUED) {
+      description.position = this.position(job);
+    }
+    if (job.response) {
+      description.httpStatus = job.response.statusCode;
+      description.result = job.response.body;
+    }
+    return description;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    const payload = this.payloads.get(job.id);
+    this.payloads.delete(job.id);
+    this.running++;
+    job.state = JobState.RUNNING;
+    job.startedAt = Date.now();
+    logger.debug(`[Job ${job.id}] Started (running ${this.running}/${this.concurrency})`);
+
+    let response;
+    try {
+      response = await this.worker(job, payload);
+    } catch (error) {
+      logger.error(`[Job ${job.id}] Worker error: ${error.message}`);
+      response = {
+        statusCode: 500,
+        body: { status: AuthResponseStatus.ERROR, description: 'Internal server error' }
+      };
+    } finally {
+      this.running--;
+    }
+
+    if (job.state === JobState.RUNNING) {
+      this.finish(job, JobState.DONE, response);
+    } else {
+      logger.debug(`[Job ${job.id}] Worker finished after job was ${job.state}, discarding result`);
+    }
+    this.drain();
+  }
+
+  finish(job, state, response) {
+    this.payloads.delete(job.id);
+    job.state = state;
+    job.finishedAt = Date.now();
+    job.response = response;
+    job.resolveDone(response);
+
+    // Keep finished jobs around for a while so the result can be fetched
+    setTimeout(() => this.jobs.delete(job.id), this.jobTtlMs).unref();
+  }
+}
+
+module.exports = { LoginQueue, JobState };
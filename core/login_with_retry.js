@@ -1,85 +1,177 @@
 const logger = require('../utils/logger');
 const Browser = require('./puppeteer');
-const { getNextProxy, reportProxyFailure, reportProxySuccess } = require('../utils/proxyPool');
+const { acquireProxy, reportProxyFailure, reportProxySuccess, maskProxyUrl } = require('../utils/proxyPool');
+const { abortable, throwIfAborted, setTimeoutPromise, getHostname } = require('../utils/helpers');
+const { getProfileForAccount } = require('./fingerprint');
+const { resolveRetryPolicy, attemptErrorCode, isRetryable, keepsProxy, backoffDelay } = require('./retry_policy');
+const { metrics } = require('../utils/metrics');
+const { LoginEventType, emitLoginEvent } = require('../utils/loginEvents');
 
 /**
- * Tries to log in using `launchAndConnectToBrowser`.
- * Handles "IP_BLOCKED" and "NAVIGATION_TIMEOUT" by
- * immediately switching to another proxy (if one exists),
- * whether you're on local IP or already using a proxy.
+ * Runs one login attempt in its own browser session.
+ * If the signal fires, the page is closed and browserless is disconnected right away;
+ * the returned promise then rejects with an AbortError.
+ */
+async function runAttempt(browser, url, username, password, signal) {
+  throwIfAborted(signal);
+  const onAbort = () => {
+    logger.warn(`Login aborted (${signal.reason && signal.reason.message}), closing browser session`);
+    browser.stopBrowser({ signal }).catch(err => logger.warn(`Error closing aborted browser session: ${err.message}`));
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  try {
+    try {
+      await abortable(browser.startBrowser({ signal }), signal);
+    } catch (err) {
+      throwIfAborted(signal);
+      logger.error(`Could not start a browser session: ${err.message}`);
+      return { error: "BROWSER_UNAVAILABLE", description: err.message };
+    }
+    return await abortable(browser.loginFlow(url, username, password, { signal }), signal);
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    if (!signal || !signal.aborted) {
+      await browser.stopBrowser({ signal }); // Stop browser after attempt
+    }
+  }
+}
+
+const PROXY_OK_ERRORS = ["ACCOUNT_BANNED", "INVALID_CREDENTIALS", "LOGIN_FAILED", "ACCOUNT_DISABLED"];
+
+/**
+ * Tries to log in, retrying according to the retry policy (see core/retry_policy.js):
+ * - up to `maxAttempts` attempts, as long as the error code of the last attempt is in `retryableErrors`
+ * - waits `backoffDelay()` between attempts
+ * - no new attempt is started once `budgetMs` has been used up
+ * - switches to another proxy from the pool, unless the error code is listed in `keepProxyOn`
  *
  * @param {string} url      - The login/auth URL.
  * @param {string} username - The username for login.
  * @param {string} password - The password for login.
- * @param {string} [proxy]  - (Optional) If provided, use this proxy first.
- * @returns {Promise<Object>} - The result of the login process ({ token: <string> } or { error: <string> }).
+ * @param {Object} [lease]  - (Optional) Proxy lease from acquireProxy() to use first; without it the local IP is used.
+ *                            Leases are released here once the login is done with their proxy.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the login (closes the browser session, skips proxy reporting).
+ * @param {string} [options.requestId] - Request ID for logging.
+ * @param {Object} [options.retryPolicy] - Resolved retry policy (defaults to the configured policy).
+ * @param {Object} [options.proxySelector] - { group, country }: proxy switches stay within the matching proxies.
+ * @returns {Promise<Object>} - { result, attempts }: the result of the last attempt ({ token: <string> } or { error: <string> })
+ *                              and one entry per attempt ({ attempt, proxy, error, durationMs }).
  */
-async function loginWithRetry(url, username, password, proxy) {
-  logger.info("Starting initial login attempt...");
+async function loginWithRetry(url, username, password, lease, { signal, requestId, retryPolicy = resolveRetryPolicy(), proxySelector = null } = {}) {
+  const startTime = Date.now();
+  const attempts = [];
+  const fingerprint = getProfileForAccount(username);
+  const host = getHostname(url);
+  let currentLease = lease;
+  let currentProxy = lease ? lease.proxy : null;
+  let result;
 
-  if (proxy) {
-    logger.debug(`Initial attempt will use provided proxy: ${proxy}`);
-  } else {
-    logger.debug("Initial attempt will use local IP (no proxy provided)");
-  }
+  try {
+    for (let attempt = 1; attempt <= retryPolicy.maxAttempts; attempt++) {
+      if (attempt > 1) {
+        const delay = backoffDelay(retryPolicy, attempt);
+        if (Date.now() - startTime + delay >= retryPolicy.budgetMs) {
+          logger.warn(`[Request ID: ${requestId}] Retry budget of ${retryPolicy.budgetMs}ms used up after ${attempts.length} attempt(s), giving up.`);
+          break;
+        }
+        if (delay > 0) {
+          logger.debug(`[Request ID: ${requestId}] Waiting ${delay}ms before attempt #${attempt}`);
+          await setTimeoutPromise(delay, signal);
+        }
+      }
 
-  // Attempt #1 with provided proxy or local IP.
-  logger.debug("Attempt #1: Creating Browser instance and starting browser...");
-  const browser1 = new Browser(); // Instantiate Browser class
-  await browser1.startBrowser(); // Start the browser
-  logger.debug("Attempt #1: Calling loginFlow...");
-  let result = await browser1.loginFlow(url, username, password); // Call loginFlow
-  logger.debug(`Attempt #1 result: ${JSON.stringify(result)}`);
-  await browser1.stopBrowser(); // Stop browser after attempt
+      logger.info(`[Request ID: ${requestId}] Attempt #${attempt}/${retryPolicy.maxAttempts} using ${currentProxy ? `proxy ${maskProxyUrl(currentProxy)}` : 'local IP'}`);
+      emitLoginEvent(requestId, LoginEventType.ATTEMPT_STARTED, {
+        attempt,
+        maxAttempts: retryPolicy.maxAttempts,
+        proxy: currentProxy ? maskProxyUrl(currentProxy) : null
+      });
+      const attemptStart = Date.now();
+      const browser = new Browser({ proxy: currentProxy, fingerprint, requestId, attempt });
+      result = await runAttempt(browser, url, username, password, signal);
+      const errorCode = attemptErrorCode(result);
+      attempts.push({
+        attempt,
+        proxy: currentProxy ? maskProxyUrl(currentProxy) : null,
+        error: errorCode,
+        durationMs: Date.now() - attemptStart
+      });
+      logger.debug(`[Request ID: ${requestId}] Attempt #${attempt} result: ${JSON.stringify(result)}`);
+      result.usedProxy = currentProxy ? maskProxyUrl(currentProxy) : null;
+      if (errorCode) {
+        emitLoginEvent(requestId, LoginEventType.ERROR_CLASSIFIED, {
+          attempt,
+          error: errorCode,
+          retryable: isRetryable(retryPolicy, errorCode)
+        });
+      }
 
-  // If a proxy was used, we report the result here.
-  // If the login attempt returns a token or an error code that indicates working proxy operation (200, 418 or 400), the proxy is considered successful.
-  if (proxy) {
-    if (result.token || ["ACCOUNT_BANNED", "INVALID_CREDENTIALS", "LOGIN_FAILED", "ACCOUNT_DISABLED"].includes(result.error)) {
-      reportProxySuccess(proxy);
-      logger.debug(`Proxy ${proxy} marked as success on attempt #1.`);
-    } else {
-      reportProxyFailure(proxy);
-      logger.debug(`Proxy ${proxy} marked as failure on attempt #1.`);
-    }
-  }
+      // If a proxy was used, we report the result here.
+      // If the login attempt returns a token or an error code that indicates working proxy operation (200, 418 or 400), the proxy is considered successful.
+      // BROWSER_UNAVAILABLE says nothing about the proxy, it is neither credited nor penalized.
+      if (currentProxy && result.error !== "BROWSER_UNAVAILABLE") {
+        if (result.token || PROXY_OK_ERRORS.includes(result.error)) {
+          reportProxySuccess(currentProxy, { host, username });
+          logger.debug(`Proxy ${maskProxyUrl(currentProxy)} marked as success on attempt #${attempt}.`);
+        } else {
+          reportProxyFailure(currentProxy, { host, error: errorCode, username });
+          logger.debug(`Proxy ${maskProxyUrl(currentProxy)} marked as failure on attempt #${attempt}.`);
+        }
+      }
 
-  
-    // Check if errors such as "IP_BLOCKED", "NAVIGATION_TIMEOUT", or "SERVICE_UNAVAILABLE" exist.
-    if (result.error === "IP_BLOCKED" || result.error === "NAVIGATION_TIMEOUT" || result.serviceUnavailable) {
-      logger.warn(`Error type "${result.error}" detected. Attempting immediate switch to another proxy...`);
-    // Get a new proxy from the pool.
-    logger.debug("Fetching a new proxy from the proxy pool...");
-    const newProxy = await getNextProxy();
-    if (!newProxy) {
-      logger.error("No more proxies available in the pool. Aborting login retry.");
-      return result; // No further proxy available - return original result.
-    }
+      if (!isRetryable(retryPolicy, errorCode)) {
+        break;
+      }
+      if (attempt === retryPolicy.maxAttempts) {
+        logger.warn(`[Request ID: ${requestId}] Error "${errorCode}" on the last allowed attempt, giving up.`);
+        break;
+      }
 
-    logger.info(`Switching to new proxy: ${newProxy}`);
-    // Attempt #2 with new proxy.
-    logger.debug("Attempt #2: Creating Browser instance with new proxy and starting browser...");
-    const browser2 = new Browser({ proxy: newProxy }); // Instantiate Browser with proxy
-    await browser2.startBrowser(); // Start browser
-    logger.debug("Attempt #2: Calling loginFlow with new proxy...");
-    result = await browser2.loginFlow(url, username, password); // Call loginFlow
-    logger.debug(`Attempt #2 result: ${JSON.stringify(result)}`);
-    await browser2.stopBrowser(); // Stop browser after attempt
+      if (keepsProxy(retryPolicy, errorCode)) {
+        logger.warn(`[Request ID: ${requestId}] Error "${errorCode}" detected. Retrying with the same proxy...`);
+        continue;
+      }
 
-    // Here, too, we report the result based on the proxy used.
-    if (result.token || ["ACCOUNT_BANNED", "INVALID_CREDENTIALS", "LOGIN_FAILED", "ACCOUNT_DISABLED"].includes(result.error)) {
-      reportProxySuccess(newProxy);
-      logger.debug(`Proxy ${newProxy} marked as success on attempt #2.`);
-    } else {
-      reportProxyFailure(newProxy);
-      logger.debug(`Proxy ${newProxy} marked as failure on attempt #2.`);
+      logger.warn(`[Request ID: ${requestId}] Error "${errorCode}" detected. Switching to another proxy...`);
+      if (currentLease) {
+        currentLease.release();
+        currentLease = null;
+      }
+      let newLease;
+      try {
+        newLease = await acquireProxy({ host, selector: proxySelector, username, signal });
+      } catch (err) {
+        throwIfAborted(signal);
+        logger.error(`No other proxy available (${err.message}). Aborting login retry.`);
+        break;
+      }
+      if (!newLease) {
+        logger.error("No more proxies available in the pool. Aborting login retry.");
+        break;
+      }
+      if (newLease.proxy === currentProxy) {
+        logger.info(`Keeping proxy ${maskProxyUrl(newLease.proxy)} (account affinity)`);
+      } else {
+        logger.info(`Switching to new proxy: ${maskProxyUrl(newLease.proxy)}`);
+      }
+      currentLease = newLease;
+      currentProxy = newLease.proxy;
+      emitLoginEvent(requestId, LoginEventType.PROXY_SELECTED, { attempt: attempt + 1, proxy: maskProxyUrl(currentProxy) });
+    }
+  } finally {
+    if (currentLease) {
+      currentLease.release();
     }
-  } else {
-    logger.debug("No IP_BLOCKED or NAVIGATION_TIMEOUT error detected. Continuing with initial result.");
   }
 
-  logger.info("Login attempt completed.");
-  return { result, attempts: proxy ? 2 : 1 };
+  metrics.loginAttempts.observe({}, attempts.length);
+  logger.info(`[Request ID: ${requestId}] Login completed after ${attempts.length} attempt(s) in ${Date.now() - startTime}ms.`);
+  return { result, attempts };
 }
 
 module.exports = { loginWithRetry };
@@ -0,0 +1,26 @@
+// core/notifiers/discord.js
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Discord rejects messages longer than 2000 characters
+const MAX_CONTENT_LENGTH = 2000;
+
+module.exports = {
+  name: 'discord',
+  required: ['url'],
+  supportsScreenshots: true,
+  /**
+   * Posts to a Discord webhook; a screenshot is uploaded as attachment of the same message.
+   */
+  async send({ url }, { text, screenshot }, { timeout }) {
+    const content = text.length > MAX_CONTENT_LENGTH ? `${text.slice(0, MAX_CONTENT_LENGTH - 1)}…` : text;
+    if (!screenshot) {
+      await axios.post(url, { content }, { timeout });
+      return;
+    }
+    const form = new FormData();
+    form.append('content', content);
+    form.append('file', screenshot, { filename: 'screenshot.png', contentType: 'image/png' });
+    await axios.post(url, form, { headers: form.getHeaders(), timeout });
+  }
+};
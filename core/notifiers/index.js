@@ -0,0 +1,454 @@
+// core/notifiers/index.js
+const fs = require('fs');
+const logger = require('../../utils/logger');
+const { metrics } = require('../../utils/metrics');
+const { getProxyPoolStats } = require('../../utils/proxyPool');
+
+/**
+ * Notifiers: messages about logins to Discord, Slack, Telegram or any JSON webhook.
+ *
+ * Each driver is a unit `{ name, required, supportsScreenshots, send(definition, message, { timeout }) }`.
+ * The notifiers are defined in NOTIFIERS_FILE, keyed by name (see notifiers.example.json). Per notifier:
+ * - triggers: login results (error codes, "*" = every error), proxy pool exhausted, ban rate threshold
+ * - rate limit (messages per minute) and digests: notifications are queued and sent in batches, one
+ *   message per batch, so a burst of failures never floods a channel
+ * - masking of usernames and tokens (on by default)
+ * Notifications are only queued in the login path; sending happens in the background and never
+ * delays a login response. Send errors are logged and counted, never thrown.
+ */
+const drivers = new Map();
+
+[
+  require('./discord'),
+  require('./slack'),
+  require('./telegram'),
+  require('./webhook')
+].forEach(driver => drivers.set(driver.name, driver));
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const NOTIFIERS_FILE = process.env.NOTIFIERS_FILE || 'proxy_data/notifiers.json';
+const NOTIFY_TIMEOUT_MS = +process.env.NOTIFY_TIMEOUT_MS || 10000;
+// Longest a login waits for a screenshot a notifier asked for
+const NOTIFY_SCREENSHOT_TIMEOUT_MS = +process.env.NOTIFY_SCREENSHOT_TIMEOUT_MS || 2000;
+const NOTIFIER_KEYS = ['driver', 'url', 'headers', 'botToken', 'chatId', 'triggers', 'rateLimitPerMinute', 'digestSeconds', 'screenshots', 'mask'];
+const TRIGGER_KEYS = ['results', 'poolExhausted', 'banRate'];
+const DEFAULT_BAN_RESULTS = ['ACCOUNT_BANNED', 'IMPERVA_BLOCKED'];
+// Results that are no login errors for the "*" trigger. NO_PROXY_AVAILABLE is reported by the poolExhausted trigger.
+const NON_ERROR_RESULTS = ['SUCCESS', 'CANCELLED', 'NO_PROXY_AVAILABLE'];
+const MAX_PENDING_NOTIFICATIONS = 500;
+const MAX_DIGEST_LINES = 20;
+const MAX_SCREENSHOTS = 20;
+
+const NotificationType = {
+  LOGIN_RESULT: 'login_result',
+  POOL_EXHAUSTED: 'pool_exhausted',
+  BAN_RATE: 'ban_rate'
+};
+
+// ------------------------------------
+// Masking
+// ------------------------------------
+function maskUsername(username) {
+  if (!username) {
+    return username;
+  }
+  return username.length <= 3 ? '***' : `${username.slice(0, 2)}***${username.slice(-1)}`;
+}
+
+/**
+ * Masks login codes and token/code/password query parameters in free text (error descriptions, URLs).
+ */
+function maskText(text) {
+  return String(text)
+    .replace(/ory_ac_[^\s&#"']+/gi, 'ory_ac_***')
+    .replace(/([?&](?:token|code|password|access_token)=)[^&#\s"']+/gi, '$1***');
+}
+
+// ------------------------------------
+// Notifier
+// ------------------------------------
+/**
+ * Validates a notifier definition and fills in the defaults:
+ * triggers { results: ["*"], poolExhausted: true }, rateLimitPerMinute 6, digestSeconds 0, screenshots false, mask true.
+ * @throws {Error} - On unknown keys, an unknown driver, missing driver settings or invalid values.
+ */
+function normalizeNotifierDefinition(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Definition must be an object');
+  }
+  const unknown = Object.keys(raw).filter(key => !NOTIFIER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown key(s): ${unknown.join(', ')} (allowed: ${NOTIFIER_KEYS.join(', ')})`);
+  }
+  const driver = drivers.get(raw.driver);
+  if (!driver) {
+    throw new Error(`Unknown driver "${raw.driver}" (available: ${[...drivers.keys()].join(', ')})`);
+  }
+  const missing = driver.required.filter(key => !raw[key]);
+  if (missing.length > 0) {
+    throw new Error(`The ${driver.name} driver needs ${missing.join(', ')}`);
+  }
+
+  const triggers = raw.triggers || {};
+  const unknownTriggers = Object.keys(triggers).filter(key => !TRIGGER_KEYS.includes(key));
+  if (unknownTriggers.length > 0) {
+    throw new Error(`Unknown trigger(s): ${unknownTriggers.join(', ')} (allowed: ${TRIGGER_KEYS.join(', ')})`);
+  }
+  const results = triggers.results === undefined ? ['*'] : triggers.results;
+  if (!Array.isArray(results) || !results.every(result => typeof result === 'string')) {
+    throw new Error('triggers.results must be a list of result codes');
+  }
+  let banRate = null;
+  if (triggers.banRate) {
+    banRate = {
+      threshold: +triggers.banRate.threshold,
+      windowMinutes: +triggers.banRate.windowMinutes || 15,
+      minLogins: +triggers.banRate.minLogins || 10,
+      results: triggers.banRate.results || DEFAULT_BAN_RESULTS
+    };
+    if (!(banRate.threshold > 0 && banRate.threshold <= 1)) {
+      throw new Error('triggers.banRate.threshold must be a fraction between 0 and 1');
+    }
+  }
+
+  const rateLimitPerMinute = raw.rateLimitPerMinute === undefined ? 6 : +raw.rateLimitPerMinute;
+  const digestSeconds = raw.digestSeconds === undefined ? 0 : +raw.digestSeconds;
+  if (!(rateLimitPerMinute > 0) || !(digestSeconds >= 0)) {
+    throw new Error('rateLimitPerMinute must be positive and digestSeconds zero or positive');
+  }
+  if (raw.screenshots && !driver.supportsScreenshots) {
+    throw new Error(`The ${driver.name} driver cannot send screenshots`);
+  }
+
+  return {
+    ...raw,
+    name,
+    triggers: {
+      results: results.map(result => result.toUpperCase()),
+      poolExhausted: triggers.poolExhausted !== false,
+      banRate
+    },
+    rateLimitPerMinute,
+    digestSeconds,
+    screenshots: raw.screenshots === true,
+    mask: raw.mask !== false
+  };
+}
+
+class Notifier {
+  constructor(definition) {
+    this.definition = definition;
+    this.driver = drivers.get(definition.driver);
+    this.pending = [];
+    this.dropped = 0;
+    this.sentAt = [];
+    this.timer = null;
+    this.sending = null;
+    this.banRateAlerting = false;
+  }
+
+  get name() {
+    return this.definition.name;
+  }
+
+  matchesResult(result) {
+    const { results } = this.definition.triggers;
+    return results.includes(result) || (results.includes('*') && !NON_ERROR_RESULTS.includes(result));
+  }
+
+  wantsScreenshot(result) {
+    return this.definition.screenshots && this.matchesResult(result);
+  }
+
+  /**
+   * Queues a notification. Beyond MAX_PENDING_NOTIFICATIONS further ones are dropped and counted.
+   */
+  push(notification) {
+    if (this.pending.length >= MAX_PENDING_NOTIFICATIONS) {
+      this.dropped++;
+      metrics.notifications.inc({ notifier: this.name, outcome: 'dropped' });
+      return;
+    }
+    this.pending.push(notification);
+    this.schedule();
+  }
+
+  /**
+   * ms until the rate limit allows the next message.
+   */
+  rateLimitDelay() {
+    const now = Date.now();
+    this.sentAt = this.sentAt.filter(at => now - at < 60000);
+    if (this.sentAt.length < this.definition.rateLimitPerMinute) {
+      return 0;
+    }
+    return this.sentAt[0] + 60000 - now;
+  }
+
+  schedule() {
+    if (this.timer || this.sending) {
+      return;
+    }
+    const delay = Math.max(this.definition.digestSeconds * 1000, this.rateLimitDelay());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Sends everything queued as one message (a digest if there is more than one notification).
+   * @param {boolean} [force] - Ignore the rate limit (shutdown).
+   */
+  async flush(force = false) {
+    if (this.pending.length === 0 || this.sending) {
+      return this.sending;
+    }
+    if (!force && this.rateLimitDelay() > 0) {
+      this.schedule();
+      return null;
+    }
+    const batch = this.pending.splice(0);
+    const dropped = this.dropped;
+    this.dropped = 0;
+    this.sentAt.push(Date.now());
+    const message = buildMessage(batch, dropped);
+    this.sending = this.driver.send(this.definition, message, { timeout: NOTIFY_TIMEOUT_MS })
+      .then(() => {
+        metrics.notifications.inc({ notifier: this.name, outcome: 'sent' });
+        logger.debug(`Notifier ${this.name}: Sent ${batch.length} notification(s)`);
+      })
+      .catch(err => {
+        metrics.notifications.inc({ notifier: this.name, outcome: 'failed' });
+        logger.error(`Notifier ${this.name}: Sending ${batch.length} notification(s) failed: ${err.message}`);
+      })
+      .finally(() => {
+        this.sending = null;
+        if (this.pending.length > 0) {
+          this.schedule();
+        }
+      });
+    return this.sending;
+  }
+}
+
+// ------------------------------------
+// Messages
+// ------------------------------------
+function formatNotification(notification) {
+  switch (notification.type) {
+    case NotificationType.LOGIN_RESULT: {
+      const { result, username, host, proxy, attempts, description, requestId } = notification;
+      const outcome = result === 'SUCCESS' ? 'Login succeeded' : `Login failed: ${result}`;
+      const details = [
+        `user ${username || 'unknown'}`,
+        host ? `host ${host}` : null,
+        `proxy ${proxy || 'none'}`,
+        `${attempts} attempt(s)`,
+        description ? `"${description}"` : null,
+        `request ${requestId}`
+      ].filter(Boolean);
+      return `${outcome} (${details.join(', ')})`;
+    }
+    case NotificationType.POOL_EXHAUSTED: {
+      const { unlocked, coolingDown, disabled, leased, total } = notification.pool;
+      return `Proxy pool exhausted: no proxy available for request ${notification.requestId} (${unlocked} of ${total} unlocked, ${leased} in use, ${coolingDown} cooling down, ${disabled} disabled)`;
+    }
+    case NotificationType.BAN_RATE: {
+      const { rate, banned, logins, windowMinutes, threshold } = notification;
+      return `Ban rate ${Math.round(rate * 100)}% (${banned} of ${logins} logins in the last ${windowMinutes} min) reached the threshold of ${Math.round(threshold * 100)}%`;
+    }
+    default:
+      return notification.type;
+  }
+}
+
+/**
+ * One message for a batch: { text, notifications, dropped, screenshot }.
+ * Digests list at most MAX_DIGEST_LINES notifications in the text; only a single notification carries its screenshot.
+ */
+function buildMessage(batch, dropped) {
+  const lines = batch.map(formatNotification);
+  let text;
+  if (batch.length === 1) {
+    text = lines[0];
+  } else {
+    text = [`V-Login: ${batch.length} notifications`, ...lines.slice(0, MAX_DIGEST_LINES).map(line => `- ${line}`)].join('\n');
+    if (lines.length > MAX_DIGEST_LINES) {
+      text += `\n… and ${lines.length - MAX_DIGEST_LINES} more`;
+    }
+  }
+  if (dropped > 0) {
+    text += `\n(${dropped} notification(s) dropped, queue full)`;
+  }
+  return {
+    text,
+    notifications: batch.map(({ screenshot, ...notification }) => notification),
+    dropped,
+    screenshot: batch.length === 1 ? batch[0].screenshot || null : null
+  };
+}
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+let notifiers = [];
+// { at, result } of finished logins, for the ban rate triggers
+let recentResults = [];
+// requestId -> screenshot of the last attempt, until the login's notification picks it up
+const screenshots = new Map();
+
+/**
+ * Reads NOTIFIERS_FILE. Without it, DISCORD_WEBHOOK (with DISCORD_WEBHOOK_ENABLED=true) still works
+ * as a Discord notifier for login errors with screenshots.
+ */
+function loadNotifiers() {
+  const definitions = [];
+  if (fs.existsSync(NOTIFIERS_FILE)) {
+    try {
+      const content = JSON.parse(fs.readFileSync(NOTIFIERS_FILE, 'utf8'));
+      Object.entries(content).forEach(([name, raw]) => {
+        try {
+          definitions.push(normalizeNotifierDefinition(name, raw));
+        } catch (err) {
+          logger.warn(`loadNotifiers: Rejected notifier "${name}": ${err.message}`);
+        }
+      });
+    } catch (err) {
+      logger.error(`loadNotifiers: Ignoring ${NOTIFIERS_FILE}: ${err.message}`);
+    }
+  } else if (process.env.DISCORD_WEBHOOK && process.env.DISCORD_WEBHOOK_ENABLED === 'true') {
+    definitions.push(normalizeNotifierDefinition('discord', { driver: 'discord', url: process.env.DISCORD_WEBHOOK, screenshots: true }));
+  }
+  notifiers = definitions.map(definition => new Notifier(definition));
+  logger.info(`loadNotifiers: ${notifiers.length} notifier(s) configured${notifiers.length ? `: ${notifiers.map(notifier => `${notifier.name} (${notifier.definition.driver})`).join(', ')}` : ''}`);
+}
+
+function checkBanRates(notifier) {
+  const banRate = notifier.definition.triggers.banRate;
+  if (!banRate) {
+    return;
+  }
+  const since = Date.now() - banRate.windowMinutes * 60 * 1000;
+  const window = recentResults.filter(({ at }) => at >= since);
+  const banned = window.filter(({ result }) => banRate.results.includes(result)).length;
+  const rate = window.length > 0 ? banned / window.length : 0;
+  if (window.length >= banRate.minLogins && rate >= banRate.threshold) {
+    // Alerts once per crossing; re-armed when the rate drops below the threshold again
+    if (!notifier.banRateAlerting) {
+      notifier.banRateAlerting = true;
+      notifier.push({ type: NotificationType.BAN_RATE, at: new Date().toISOString(), rate, banned, logins: window.length, windowMinutes: banRate.windowMinutes, threshold: banRate.threshold });
+    }
+  } else if (rate < banRate.threshold) {
+    notifier.banRateAlerting = false;
+  }
+}
+
+/**
+ * Hands a finished login to the notifiers. Only queues, never waits for a send.
+ * @param {Object} record - { requestId, username, host, result, response } - `response` is the { statusCode, body } the caller got.
+ */
+function notifyLoginResult({ requestId, username, host, result, response }) {
+  const screenshot = screenshots.get(requestId) || null;
+  screenshots.delete(requestId);
+  if (notifiers.length === 0) {
+    return;
+  }
+  try {
+    if (result !== 'CANCELLED') {
+      const maxWindowMs = Math.max(0, ...notifiers.map(notifier => (notifier.definition.triggers.banRate ? notifier.definition.triggers.banRate.windowMinutes : 0))) * 60 * 1000;
+      recentResults.push({ at: Date.now(), result });
+      recentResults = recentResults.filter(({ at }) => Date.now() - at <= maxWindowMs);
+    }
+
+    const attempts = Array.isArray(response.body.attempts) ? response.body.attempts : [];
+    const lastAttempt = attempts[attempts.length - 1];
+    notifiers.forEach(notifier => {
+      if (result === 'NO_PROXY_AVAILABLE' && notifier.definition.triggers.poolExhausted) {
+        notifier.push({ type: NotificationType.POOL_EXHAUSTED, at: new Date().toISOString(), requestId, pool: getProxyPoolStats() });
+      } else if (notifier.matchesResult(result)) {
+        const mask = notifier.definition.mask;
+        notifier.push({
+          type: NotificationType.LOGIN_RESULT,
+          at: new Date().toISOString(),
+          requestId,
+          result,
+          username: mask ? maskUsername(username) : username,
+          host,
+          proxy: lastAttempt ? lastAttempt.proxy : null,
+          attempts: attempts.length,
+          description: result !== 'SUCCESS' && response.body.description ? (mask ? maskText(response.body.description) : response.body.description) : null,
+          screenshot: notifier.definition.screenshots ? screenshot : null
+        });
+      }
+      checkBanRates(notifier);
+    });
+  } catch (err) {
+    logger.error(`notifyLoginResult: ${err.message}`);
+  }
+}
+
+function keepScreenshot(requestId, screenshot) {
+  screenshots.set(requestId, Buffer.from(screenshot));
+  if (screenshots.size > MAX_SCREENSHOTS) {
+    screenshots.delete(screenshots.keys().next().value);
+  }
+}
+
+/**
+ * Takes a screenshot of the login page if a notifier wants one for this result.
+ * Waits at most NOTIFY_SCREENSHOT_TIMEOUT_MS; the screenshot goes out with the login's notification.
+ * @param {Object} [options] - { screenshot }: one the failure artifacts already took (core/failure_artifacts.js)
+ *   is used instead of taking another; null means it could not be taken, and none is tried again.
+ */
+async function captureLoginScreenshot(page, requestId, result, { screenshot: taken } = {}) {
+  if (!page || !requestId || !notifiers.some(notifier => notifier.wantsScreenshot(result))) {
+    return;
+  }
+  if (taken !== undefined) {
+    if (taken) {
+      keepScreenshot(requestId, taken);
+    }
+    return;
+  }
+  let timeoutHandle;
+  try {
+    const screenshot = await Promise.race([
+      page.screenshot(),
+      new Promise((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error(`No screenshot within ${NOTIFY_SCREENSHOT_TIMEOUT_MS}ms`)), NOTIFY_SCREENSHOT_TIMEOUT_MS);
+      })
+    ]);
+    keepScreenshot(requestId, screenshot);
+  } catch (err) {
+    logger.warn(`captureLoginScreenshot: Could not take a screenshot: ${err.message}`);
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+/**
+ * Sends all queued notifications right away, ignoring digests and rate limits (before shutdown).
+ */
+function flushNotifications() {
+  return Promise.all(notifiers.map(async notifier => {
+    clearTimeout(notifier.timer);
+    notifier.timer = null;
+    await notifier.sending;
+    await notifier.flush(true);
+  }));
+}
+
+loadNotifiers();
+
+module.exports = {
+  NotificationType,
+  notifyLoginResult,
+  captureLoginScreenshot,
+  flushNotifications,
+  maskUsername,
+  maskText
+};
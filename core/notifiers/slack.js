@@ -0,0 +1,15 @@
+// core/notifiers/slack.js
+const axios = require('axios');
+
+module.exports = {
+  name: 'slack',
+  required: ['url'],
+  // Incoming webhooks cannot upload files
+  supportsScreenshots: false,
+  /**
+   * Posts to a Slack incoming webhook.
+   */
+  async send({ url }, { text }, { timeout }) {
+    await axios.post(url, { text }, { timeout });
+  }
+};
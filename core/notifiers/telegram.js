@@ -0,0 +1,39 @@
+// core/notifiers/telegram.js
+const axios = require('axios');
+const FormData = require('form-data');
+
+// Telegram limits: 4096 characters per message, 1024 per photo caption
+const MAX_TEXT_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  name: 'telegram',
+  required: ['botToken', 'chatId'],
+  supportsScreenshots: true,
+  /**
+   * Sends the message through the Bot API; with a screenshot as photo, the text as its caption.
+   * Texts that do not fit into a caption follow as a separate message.
+   */
+  async send({ botToken, chatId }, { text, screenshot }, { timeout }) {
+    const apiUrl = `https://api.telegram.org/bot${botToken}`;
+    if (screenshot) {
+      const form = new FormData();
+      form.append('chat_id', String(chatId));
+      form.append('caption', truncate(text, MAX_CAPTION_LENGTH));
+      form.append('photo', screenshot, { filename: 'screenshot.png', contentType: 'image/png' });
+      await axios.post(`${apiUrl}/sendPhoto`, form, { headers: form.getHeaders(), timeout });
+      if (text.length <= MAX_CAPTION_LENGTH) {
+        return;
+      }
+    }
+    await axios.post(`${apiUrl}/sendMessage`, {
+      chat_id: chatId,
+      text: truncate(text, MAX_TEXT_LENGTH),
+      disable_web_page_preview: true
+    }, { timeout });
+  }
+};
@@ -0,0 +1,15 @@
+// core/notifiers/webhook.js
+const axios = require('axios');
+
+module.exports = {
+  name: 'webhook',
+  required: ['url'],
+  supportsScreenshots: false,
+  /**
+   * POSTs a JSON document: { text, notifications: [{ type, at, ...details }], dropped }.
+   * `headers` of the notifier definition are sent along (e.g. for authentication).
+   */
+  async send({ url, headers }, { text, notifications, dropped }, { timeout }) {
+    await axios.post(url, { text, notifications, dropped }, { headers: headers || {}, timeout });
+  }
+};
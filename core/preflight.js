@@ -0,0 +1,139 @@
+// core/preflight.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { abortable, parseList } = require('../utils/helpers');
+const { verifyExitIp } = require('./exit_ip_check');
+
+// Checks that run before every login (comma separated, empty = no preflight at all)
+const ENABLED_CHECKS = parseList(process.env.PREFLIGHT_CHECKS, ['exitIp']);
+const DEFAULT_CHECK_TIMEOUT_MS = +process.env.PREFLIGHT_TIMEOUT_MS || 5000;
+// Page the in-browser checks (canvas, webdriver) run on - a self-hosted/local page avoids third-party sites
+const PREFLIGHT_PAGE_URL = process.env.PREFLIGHT_PAGE_URL || 'about:blank';
+
+/**
+ * Registered checks. Each check:
+ * - run(browser, context): resolves with an object of findings; `passed: false` marks the check as failed
+ * - blocking: a failed blocking check ends the attempt with `errorCode`
+ * - timeoutMs: overridable via PREFLIGHT_<NAME>_TIMEOUT_MS (e.g. PREFLIGHT_EXIT_IP_TIMEOUT_MS)
+ */
+const checks = new Map();
+
+function envTimeout(name) {
+  const envName = `PREFLIGHT_${name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_TIMEOUT_MS`;
+  return +process.env[envName] || DEFAULT_CHECK_TIMEOUT_MS;
+}
+
+function registerPreflightCheck(name, { run, blocking = false, errorCode = null, timeoutMs }) {
+  checks.set(name, { run, blocking, errorCode, timeoutMs: timeoutMs || envTimeout(name) });
+}
+
+async function openCheckPage(browser) {
+  if (browser.page.url() !== PREFLIGHT_PAGE_URL) {
+    await browser.page.goto(PREFLIGHT_PAGE_URL);
+  }
+}
+
+// Exit IP: traffic must leave through the leased proxy (see core/exit_ip_check.js)
+registerPreflightCheck('exitIp', {
+  blocking: true,
+  errorCode: 'PROXY_MISMATCH',
+  run: async (browser, { proxy }) => {
+    const check = await verifyExitIp(proxy, () => browser.getExitIp());
+    return { passed: check.ok, exitIp: check.exitIp, cached: Boolean(check.cached), reason: check.reason };
+  }
+});
+
+// Canvas hash: hash of a fixed drawing, shows whether the canvas noise is applied
+registerPreflightCheck('canvasHash', {
+  run: async (browser) => {
+    await openCheckPage(browser);
+    const dataUrl = await browser.page.evaluate(() => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 220;
+      canvas.height = 30;
+      const ctx = canvas.getContext('2d');
+      ctx.textBaseline = 'top';
+      ctx.font = '14px Arial';
+      ctx.fillStyle = '#f60';
+      ctx.fillRect(125, 1, 62, 20);
+      ctx.fillStyle = '#069';
+      ctx.fillText('V-Login preflight ☺', 2, 15);
+      return canvas.toDataURL();
+    });
+    return { passed: true, hash: crypto.createHash('sha256').update(dataUrl).digest('hex').slice(0, 32) };
+  }
+});
+
+// Webdriver flags: automation markers a page can read
+registerPreflightCheck('webdriver', {
+  run: async (browser) => {
+    await openCheckPage(browser);
+    const flags = await browser.page.evaluate(() => ({
+      webdriver: navigator.webdriver,
+      headlessUserAgent: /HeadlessChrome/.test(navigator.userAgent),
+      hasChrome: typeof window.chrome !== 'undefined',
+      pluginCount: navigator.plugins ? navigator.plugins.length : 0,
+      languages: navigator.languages
+    }));
+    return { passed: !flags.webdriver && !flags.headlessUserAgent, ...flags };
+  }
+});
+
+function withTimeout(promise, timeoutMs, name) {
+  let timeoutHandle;
+  const timeout = new Promise((_, reject) => {
+    timeoutHandle = setTimeout(() => reject(new Error(`Preflight check "${name}" timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  promise.catch(() => {});
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutHandle));
+}
+
+/**
+ * Runs the enabled preflight checks on the browser's page, one after another.
+ *
+ * @param {Browser} browser - Started Browser instance.
+ * @param {Object} context - { proxy, signal }
+ * @returns {Promise<Object>} - { ok, error, description, results: { <check>: { status, durationMs, ... } } }
+ *                              `ok` is false (with error/description) if a blocking check failed.
+ */
+async function runPreflight(browser, { proxy, signal } = {}) {
+  const results = {};
+  for (const name of ENABLED_CHECKS) {
+    const check = checks.get(name);
+    if (!check) {
+      logger.warn(`runPreflight: Unknown preflight check "${name}", skipping`);
+      continue;
+    }
+
+    const startTime = Date.now();
+    let outcome;
+    try {
+      const findings = await abortable(withTimeout(check.run(browser, { proxy }), check.timeoutMs, name), signal);
+      const { passed, ...data } = findings;
+      outcome = { status: passed === false ? 'failed' : 'passed', ...data };
+    } catch (err) {
+      if (signal && signal.aborted) {
+        throw err;
+      }
+      outcome = { status: /timed out/.test(err.message) ? 'timeout' : 'error', reason: err.message };
+    }
+    outcome.durationMs = Date.now() - startTime;
+    results[name] = outcome;
+    logger.debug(`runPreflight: ${name} => ${JSON.stringify(outcome)}`);
+
+    if (check.blocking && outcome.status !== 'passed') {
+      return {
+        ok: false,
+        error: check.errorCode,
+        description: outcome.reason || `Preflight check "${name}" ${outcome.status}`,
+        results
+      };
+    }
+  }
+  return { ok: true, results };
+}
+
+module.exports = {
+  runPreflight,
+  registerPreflightCheck
+};
@@ -1,19 +1,31 @@
-const puppeteer = require('puppeteer-core');
 const logger = require('../utils/logger');
-const { bypassPuppeteerDetection } = require('./detection');
 const { v4: uuidv4 } = require('uuid');
 const { IMPERVA_CHECK_TEXT, DEFAULT_NAVIGATION_TIMEOUT_MS } = require('../config/constants');
-const axios = require('axios');
-const FormData = require('form-data');
 const { performLogin } = require('./login_handler');
-const { reportProxyFailure } = require('../utils/proxyPool');
+const { reportProxyFailure, maskProxyUrl, parseProxyUrl } = require('../utils/proxyPool');
+const { throwIfAborted } = require('../utils/helpers');
+const { IP_ECHO_URL, extractIp } = require('../utils/ipUtils');
+const { runPreflight } = require('./preflight');
+const { browserBackends } = require('./browser_backends');
+const { generateProfile, applyProfile } = require('./fingerprint');
+const { applyEvasions } = require('./evasions');
+const { metrics } = require('../utils/metrics');
+const { LoginEventType, emitLoginEvent } = require('../utils/loginEvents');
+const { captureLoginScreenshot } = require('./notifiers');
+const { startRecording, captureFailureArtifacts } = require('./failure_artifacts');
 
 class Browser {
   constructor(options = {}) {
-    // Options - the proxy is now obtained directly from the pool, therefore no more static list.
+    // Options - `proxy` is the proxy leased by the caller (loginWithRetry); without it the local IP is used.
+    // `evasions`: names of the evasions to apply (core/evasions), null = the ones enabled via EVASIONS.
+    // `requestId`/`attempt` tag the login events of this session (utils/loginEvents.js).
     this.options = {
-      useUserAgent: true,
-      overrideNavigator: true,
+      proxy: null,
+      fingerprint: null,
+      requestId: null,
+      attempt: null,
+      useFingerprint: true,
+      evasions: null,
       useBrowserless: true,
       waitForSelectors: true,
       takeScreenshots: true,
@@ -23,6 +35,7 @@ class Browser {
 
     this.browser = null;
     this.page = null;
+    this.lease = null;
   }
 
   /**
@@ -44,160 +57,107 @@ class Browser {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async postDiscordText(message) {
-    const webhookUrl = process.env.DISCORD_WEBHOOK;
-    const discordEnabled = process.env.DISCORD_WEBHOOK_ENABLED === 'true';
-    if (!webhookUrl || !discordEnabled) {
-      if (!webhookUrl) {
-        logger.warn("No Discord webhook URL configured in .env");
-      } else {
-        logger.warn("Discord webhook is disabled via .env");
-      }
-      return;
-    }
-    try {
-      await axios.post(webhookUrl, { content: message });
-      logger.info("Discord text message posted successfully");
-    } catch (err) {
-      logger.error("Failed to post Discord message: " + err.message);
-    }
-  }
-
-  async sendDiscordScreenshot(message, screenshotBuffer) {
-    const webhookUrl = process.env.DISCORD_WEBHOOK;
-    const discordEnabled = process.env.DISCORD_WEBHOOK_ENABLED === 'true';
-    if (!webhookUrl || !discordEnabled) {
-      if (!webhookUrl) {
-        logger.warn("No Discord webhook URL configured in .env");
-      } else {
-        logger.warn("Discord webhook is disabled via .env");
-      }
-      return;
-    }
-    const form = new FormData();
-    form.append('content', message);
-    form.append('file', screenshotBuffer, {
-      filename: 'screenshot.png',
-      contentType: 'image/png'
-    });
-    try {
-      await axios.post(webhookUrl, form, { headers: form.getHeaders() });
-      logger.info("Screenshot sent to Discord webhook");
-    } catch (err) {
-      logger.error("Failed to send screenshot to Discord: " + err.message);
-    }
-  }
-
-  async captureAndSendScreenshot(message) {
-    if (this.page) {
-      try {
-        await this.wait(7000);
-        try {
-          await this.page.waitForSelector('body', { timeout: 15000 });
-        } catch (e) {
-          logger.warn("Waiting for selector 'body' failed, proceeding with screenshot: " + e.message);
-        }
-        let screenshotBuffer = await this.page.screenshot();
-        if (!Buffer.isBuffer(screenshotBuffer)) {
-          screenshotBuffer = Buffer.from(screenshotBuffer, 'binary');
-        }
-        await this.sendDiscordScreenshot(message, screenshotBuffer);
-      } catch (err) {
-        logger.error("Failed to capture screenshot: " + err.message);
-      }
-    }
-  }
-
   async checkForCaptchaBan() {
     await this.wait(30000);
     const content = await this.page.content();
     return content.includes("Additional security check is required");
   }
 
+  /**
+   * Connects to a browser backend (see core/browser_backends.js):
+   * - Picks one of the configured browserless/CDP endpoints and passes the proxy to it.
+   * - Falls back to a local Chromium if enabled and no remote backend is reachable.
+   * - Returns the connected puppeteer Browser (used directly and by the warm session pool).
+   */
+  static async connect(proxy) {
+    Browser.fixNoProxyForLocalhost();
+    return browserBackends.connect(proxy);
+  }
+
   /**
    * Starts the browser:
-   * - Gets a proxy directly from the proxy pool.
-   * - Builds the Browserless WebSocket endpoint with the proxy.
-   * - Connects, creates a new page and performs anti-detection measures (Canvas manipulation, UserAgent, Navigator).
+   * - Uses the proxy passed in the options (the one the caller leased and reports on).
+   * - With the warm session pool enabled (core/browser_pool.js), leases a fresh, already patched browser context
+   *   for that proxy; otherwise connects, creates a new page and applies the page patches.
+   * - Applies the fingerprint profile of the account (options.fingerprint).
+   * - If the signal was aborted while connecting, the fresh connection is closed again right away.
    */
-  async startBrowser() {
+  async startBrowser({ signal } = {}) {
     console.log("Starting browser...");
-    Browser.fixNoProxyForLocalhost();
 
-    // Proxy direkt aus dem Pool beziehen
-    const { getNextProxy } = require('../utils/proxyPool');
-    const selectedProxy = await getNextProxy();
+    const selectedProxy = this.options.proxy;
     if (selectedProxy) {
-      console.log(`Using proxy from pool: ${selectedProxy}`);
+      console.log(`Using proxy: ${maskProxyUrl(selectedProxy)}`);
     } else {
-      console.log("No proxy available from pool, using local IP");
+      console.log("No proxy given, using local IP");
     }
 
-    // Browserless-WebSocket-Endpunkt – nur mit Proxy-Parameter, keine weiteren Systemparameter
-    let wsEndpoint = "ws://browserless:3000";
-    if (selectedProxy) {
-      wsEndpoint += `?--proxy-server=${encodeURIComponent(selectedProxy)}`;
+    const connectStart = Date.now();
+    const { browserPool } = require('./browser_pool');
+    if (browserPool.enabled) {
+      const lease = await browserPool.acquire(selectedProxy);
+      if (lease) {
+        metrics.browserConnect.observe({ source: 'pool' }, (Date.now() - connectStart) / 1000);
+        this.emitEvent(LoginEventType.BROWSER_CONNECTED, { source: 'pool', latencyMs: Date.now() - connectStart });
+        this.browser = lease.browser;
+        this.page = lease.page;
+        this.lease = lease;
+        if (signal && signal.aborted) {
+          await this.stopBrowser({ signal });
+          throwIfAborted(signal);
+        }
+        await this.applyFingerprint();
+        return;
+      }
+      logger.warn("Browser pool is full, falling back to a dedicated browserless connection");
     }
 
-    this.browser = await puppeteer.connect({
-      browserWSEndpoint: wsEndpoint,
-      defaultViewport: null
-    });
+    this.browser = await Browser.connect(selectedProxy);
+    if (signal && signal.aborted) {
+      await this.stopBrowser({ signal });
+      throwIfAborted(signal);
+    }
 
     this.page = await this.browser.newPage();
+    await this.preparePage(this.page);
+    metrics.browserConnect.observe({ source: 'backend' }, (Date.now() - connectStart) / 1000);
+    this.emitEvent(LoginEventType.BROWSER_CONNECTED, { source: 'backend', latencyMs: Date.now() - connectStart });
+    await this.applyFingerprint();
+  }
 
-    // If proxy authentication is required, `this.page.authenticate({ username, password })` can be called here
-
-    // Canvas-Fingerprint manipulieren (Rauschen hinzufügen)
-    await this.page.evaluateOnNewDocument(() => {
-      const _toDataURL = HTMLCanvasElement.prototype.toDataURL;
-      const _getImageData = CanvasRenderingContext2D.prototype.getImageData;
-      function addNoiseToPixelValue(value) {
-        const shift = Math.floor(Math.random() * 9) - 4;
-        let newVal = value + shift;
-        if (newVal > 255) newVal = 255;
-        if (newVal < 0) newVal = 0;
-        return newVal;
-      }
-      CanvasRenderingContext2D.prototype.getImageData = function(x, y, w, h) {
-        const imageData = _getImageData.call(this, x, y, w, h);
-        for (let i = 0; i < imageData.data.length; i += 4) {
-          imageData.data[i] = addNoiseToPixelValue(imageData.data[i]);
-          imageData.data[i + 1] = addNoiseToPixelValue(imageData.data[i + 1]);
-          imageData.data[i + 2] = addNoiseToPixelValue(imageData.data[i + 2]);
-        }
-        return imageData;
-      };
-      HTMLCanvasElement.prototype.toDataURL = function(...args) {
-        const ctx = this.getContext("2d");
-        if (ctx) {
-          const { width, height } = this;
-          const imageData = ctx.getImageData(0, 0, width, height);
-          for (let i = 0; i < imageData.data.length; i += 4) {
-            imageData.data[i] = addNoiseToPixelValue(imageData.data[i]);
-            imageData.data[i + 1] = addNoiseToPixelValue(imageData.data[i + 1]);
-            imageData.data[i + 2] = addNoiseToPixelValue(imageData.data[i + 2]);
-          }
-          ctx.putImageData(imageData, 0, 0);
-        }
-        return _toDataURL.apply(this, args);
-      };
-    });
+  /**
+   * Emits a login event tagged with the request and attempt of this session (no-op without a request ID).
+   */
+  emitEvent(type, data = {}) {
+    emitLoginEvent(this.options.requestId, type, { attempt: this.options.attempt, ...data });
+  }
 
-    if (this.options.useUserAgent) {
-      const USER_AGENT =
-        "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/133.0.0.0 Safari/537.36";
-      await this.page.setUserAgent(USER_AGENT);
+  /**
+   * Applies the fingerprint profile (UA, client hints, languages, timezone, screen, WebGL, seeded canvas noise).
+   * Without a profile in the options (no account known) a one-off profile is generated.
+   */
+  async applyFingerprint() {
+    if (this.options.useFingerprint) {
+      await applyProfile(this.page, this.options.fingerprint || generateProfile());
     }
+  }
 
-    if (this.options.overrideNavigator) {
-      await this.page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, 'webdriver', { get: () => false });
-        Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-      });
+  /**
+   * Prepares a fresh page:
+   * - Answers the proxy's authentication challenge with its credentials (--proxy-server carries none).
+   * - Applies the account independent anti-detection evasions (see core/evasions). They are registered via
+   *   evaluateOnNewDocument and stay in place for every document the page loads.
+   * UA, canvas noise etc. come from the fingerprint profile, see applyFingerprint().
+   */
+  async preparePage(page) {
+    if (this.options.proxy) {
+      const { username, password } = parseProxyUrl(this.options.proxy);
+      if (username || password) {
+        await page.authenticate({ username, password });
+      }
     }
 
-    await bypassPuppeteerDetection(this.page);
+    await applyEvasions(page, this.options.evasions || undefined);
   }
 
   async waitForSelectorIfEnabled(selector, timeout = 10000) {
@@ -214,88 +174,101 @@ class Browser {
   }
 
   async healthCheck() {
-    if (!this.page) {
-      this.page = await this.browser.newPage();
-    }
     const version = await this.browser.version();
-    console.log(`Health Check - Browser version: ${version}`);
+    logger.debug(`Health Check - Browser version: ${version}`);
+    return version;
   }
 
-  async logIP() {
-    await this.page.goto("https://api.ipify.org/");
-    const ipHtml = await this.page.content();
-    const ipMatch = ipHtml.match(/\d+\.\d+\.\d+\.\d+/);
-    const ipAddress = ipMatch ? ipMatch[0] : "Browser IP check failed"; // Store IP or failure message
-    logger.info(ipMatch ? `Public IP address: ${ipMatch[0]}` : "Browser IP check failed"); // Log to logger.info
-    console.log(ipMatch ? `Browser IP check: ${ipMatch[0]}` : "Browser IP check failed"); // Keep console.log for direct output
-    return ipAddress; // Return the IP address or failure message
-  }
-
-  async logCanvasFingerprint() {
-    await this.page.goto("https://browserleaks.com/canvas", { waitUntil: 'networkidle0' });
-    await this.waitForSelectorIfEnabled("#canvas-hash");
-    const content = await this.page.content();
-    content.split("\\n").forEach(line => {
-      if (line.includes('id="canvas-hash"')) {
-        console.log(`Canvas fingerprint: ${line}`);
-      }
-    });
+  /**
+   * Returns the public IP the browser's traffic leaves with (null if it could not be determined).
+   */
+  async getExitIp() {
+    await this.page.goto(IP_ECHO_URL, { timeout: DEFAULT_NAVIGATION_TIMEOUT_MS });
+    const ipText = await this.page.evaluate(() => document.body ? document.body.innerText : '');
+    return extractIp(ipText);
   }
 
   /**
    * Executes the login flow:
-   * 1. Checks the canvas fingerprint and creates a screenshot if necessary.
+   * 1. Runs the preflight checks; a failed blocking check (exit IP => PROXY_MISMATCH) ends the attempt.
    * 2. Navigates to the login URL and calls the performLogin process.
-   * 3. Returns a result object that contains either a token (on success) or an error code.
+   * 3. Returns a result object that contains either a token (on success) or an error code,
+   *    plus the preflight results.
+   * A failed navigation or login saves the failure artifacts of the attempt (screenshot, DOM, responses, console).
+   * Every step checks the signal; an aborted login rejects with an AbortError.
    */
-  async loginFlow(initialAuthUrl, username, password) {
-    // Step 1: Check canvas fingerprint & screenshot
-    await this.page.goto("https://browserleaks.com/canvas", { waitUntil: 'networkidle0' });
-    await this.waitForSelectorIfEnabled("#canvas-hash");
-    // await this.takeScreenshotIfEnabled("step1-browserleaks.png"); // Removed duplicate screenshot
-    let content = await this.page.content();
-    let match = content.match(/id="canvas-hash".*?>(.*?)<\/td>/);
-    console.log(match ? `Canvas fingerprint: ${match[1]}` : "Canvas fingerprint not found.");
-    // Log public IP address after canvas fingerprint
-    const publicIp = await this.logIP();
-    logger.info(`[${uuidv4()}] Public IP address: ${publicIp}`);
-
-    // --- Proxy Check ---
-    logger.info(`[${uuidv4()}] Performing proxy IP check...`);
-    const ipAddress = await this.logIP(); // Call logIP to check and log the IP
-    logger.info(`[${uuidv4()}] Proxy IP check completed. IP address: ${ipAddress}`); // Include IP in log message
-    // --- End Proxy Check ---
-
+  async loginFlow(initialAuthUrl, username, password, { signal } = {}) {
+    // Step 1: Preflight checks (exit IP, canvas, webdriver flags - see core/preflight.js)
+    throwIfAborted(signal);
+    const preflight = await runPreflight(this, { proxy: this.options.proxy, signal });
+    throwIfAborted(signal);
+    if (!preflight.ok) {
+      logger.error(`Preflight failed: ${preflight.description}`);
+      return { error: preflight.error, description: preflight.description, preflight: preflight.results };
+    }
 
     // Step 2: Navigate to the login URL
+    throwIfAborted(signal);
     const uniqueSessionId = uuidv4();
     logger.info(`[${uniqueSessionId}] Navigating to login URL: ${initialAuthUrl}`);
 
+    // Responses and console messages go into the failure artifacts if the attempt fails
+    const recording = startRecording(this.page);
+    const failure = { url: initialAuthUrl, password, recording };
+    const navigationStart = Date.now();
     try {
       await this.page.goto(initialAuthUrl, { waitUntil: 'networkidle0', timeout: DEFAULT_NAVIGATION_TIMEOUT_MS });
       logger.info(`[${uniqueSessionId}] Navigation to login URL completed.`);
+      this.emitEvent(LoginEventType.NAVIGATION_DONE, { latencyMs: Date.now() - navigationStart });
     } catch (navigationError) {
+      throwIfAborted(signal);
       logger.error(`[${uniqueSessionId}] Navigation to login URL failed: ${navigationError.message}`);
-      return { error: "NAVIGATION_TIMEOUT", description: navigationError.message };
+      await this.saveFailureArtifacts("NAVIGATION_TIMEOUT", failure);
+      return { error: "NAVIGATION_TIMEOUT", description: navigationError.message, preflight: preflight.results };
     }
     
     // Step 3: Execute the login process
-    const loginResult = await performLogin(this.page, username, password, uniqueSessionId);
+    const loginResult = await performLogin(this.page, username, password, uniqueSessionId, {
+      signal,
+      onStep: (type, data) => this.emitEvent(type, data)
+    });
+    throwIfAborted(signal);
+    // Screenshots are only taken for notifiers that want one for this result (core/notifiers);
+    // a failed attempt hands over the one of its failure artifacts instead of taking a second one
     if (loginResult.error) {
       console.error(`Login failed: ${loginResult.error}`);
-      await this.captureAndSendScreenshot(`Login failed: ${loginResult.error}`);
-      return { error: loginResult.error };
+      const screenshot = await this.saveFailureArtifacts(loginResult.error, failure);
+      await captureLoginScreenshot(this.page, this.options.requestId, loginResult.error, { screenshot });
+      return { ...loginResult, preflight: preflight.results };
     } else if (loginResult.token) {
       console.log(`Login erfolgreich, Token: ${loginResult.token}`);
-      await this.captureAndSendScreenshot("Login erfolgreich");
-      return { token: loginResult.token };
+      recording.stop();
+      await captureLoginScreenshot(this.page, this.options.requestId, 'SUCCESS');
+      return { token: loginResult.token, preflight: preflight.results };
     } else {
       console.error("Unknown error during login");
-      await this.captureAndSendScreenshot("Unknown error during login");
-      return { error: "UNKNOWN_ERROR" };
+      const screenshot = await this.saveFailureArtifacts("UNKNOWN_ERROR", failure);
+      await captureLoginScreenshot(this.page, this.options.requestId, 'UNKNOWN_ERROR', { screenshot });
+      return { error: "UNKNOWN_ERROR", preflight: preflight.results };
     }
   }
 
+  /**
+   * Saves the failure artifacts of this attempt under its request ID (core/failure_artifacts.js).
+   * @returns {Promise<Buffer|null|undefined>} - The screenshot taken for them, for the notifiers.
+   */
+  async saveFailureArtifacts(error, { url, password, recording }) {
+    return captureFailureArtifacts(this.page, {
+      requestId: this.options.requestId,
+      attempt: this.options.attempt,
+      error,
+      url,
+      proxy: this.options.proxy ? maskProxyUrl(this.options.proxy) : null,
+      password,
+      recording
+    });
+  }
+
   async newTab() {
     console.log("Opening new tab");
     const newPage = await this.browser.newPage();
@@ -306,7 +279,7 @@ class Browser {
   }
 
   async newPrivateWindow() {
-    const context = await this.browser.createIncognitoBrowserContext();
+    const context = await this.browser.createBrowserContext();
     const newPage = await context.newPage();
     if (this.page) {
       await this.page.close();
@@ -314,12 +287,35 @@ class Browser {
     this.page = newPage;
   }
 
-  async stopBrowser() {
-    if (this.browser) {
-      await this.browser.disconnect();
-      this.page = null;
-      this.browser = null;
+  /**
+   * Disconnects from browserless, or - for a pooled session - throws the leased browser context away
+   * (cookies and storage go with it) and keeps the connection for the next login.
+   * For an aborted login the page is closed first, so in-flight navigations and
+   * page operations of the cancelled attempt stop immediately.
+   */
+  async stopBrowser({ signal } = {}) {
+    if (!this.browser) {
+      return;
+    }
+    const browser = this.browser;
+    const page = this.page;
+    const lease = this.lease;
+    this.page = null;
+    this.browser = null;
+    this.lease = null;
+    if (signal && signal.aborted && page) {
+      try {
+        await page.close();
+        logger.info("Closed page of aborted login");
+      } catch (err) {
+        logger.warn(`Could not close page of aborted login: ${err.message}`);
+      }
+    }
+    if (lease) {
+      await lease.release();
+      return;
     }
+    await browserBackends.release(browser);
   }
 
   // async fetchBrowserStatus() {
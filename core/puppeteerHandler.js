@@ -1,11 +1,13 @@
 // Filename: puppeteerHandler.js
 
+// Used by the local-launch fallback in browser_backends.js (BROWSER_LOCAL_FALLBACK=true)
 const launchOptions = {
   args: [
     '--disable-blink-features=AutomationControlled',
     '--no-sandbox'
   ],
-  headless: false,
+  executablePath: process.env.CHROME_EXECUTABLE_PATH || '/usr/bin/chromium-browser',
+  headless: process.env.LOCAL_BROWSER_HEADLESS !== 'false',
   defaultViewport: { width: 1280, height: 800 },
   // Further Puppeteer launch options possible here
 };
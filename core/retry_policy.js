@@ -0,0 +1,95 @@
+// core/retry_policy.js
+const logger = require('../utils/logger');
+const { LOGIN_RETRY_POLICY, LOGIN_REQUEST_TIMEOUT_MS } = require('../config/constants');
+
+const NUMERIC_FIELDS = ['maxAttempts', 'backoffMs', 'backoffMultiplier', 'maxBackoffMs', 'budgetMs'];
+const LIST_FIELDS = ['retryableErrors', 'keepProxyOn'];
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// The configured budget is clamped to the request timeout, otherwise every per-request override would be rejected
+const DEFAULT_RETRY_POLICY = { ...LOGIN_RETRY_POLICY, budgetMs: Math.min(LOGIN_RETRY_POLICY.budgetMs, LOGIN_REQUEST_TIMEOUT_MS) };
+if (DEFAULT_RETRY_POLICY.budgetMs < LOGIN_RETRY_POLICY.budgetMs) {
+  logger.warn(`LOGIN_RETRY_BUDGET_MS (${LOGIN_RETRY_POLICY.budgetMs}ms) exceeds LOGIN_REQUEST_TIMEOUT_MS, using ${DEFAULT_RETRY_POLICY.budgetMs}ms`);
+}
+
+/**
+ * Merges a per-request override (the `retryPolicy` field of the login request) into the default policy.
+ * Unknown fields and invalid values are rejected with an Error whose message can be shown to the caller.
+ *
+ * @param {Object} [override] - Partial policy, e.g. { maxAttempts: 3, keepProxyOn: ["NAVIGATION_TIMEOUT"] }
+ * @returns {Object} - The complete policy.
+ */
+function resolveRetryPolicy(override) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  if (override === undefined || override === null) {
+    return policy;
+  }
+  if (typeof override !== 'object' || Array.isArray(override)) {
+    throw new Error('retryPolicy must be an object');
+  }
+
+  for (const [key, value] of Object.entries(override)) {
+    if (NUMERIC_FIELDS.includes(key)) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`retryPolicy.${key} must be a non-negative number`);
+      }
+      policy[key] = value;
+    } else if (LIST_FIELDS.includes(key)) {
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+        throw new Error(`retryPolicy.${key} must be an array of error codes`);
+      }
+      policy[key] = value;
+    } else {
+      throw new Error(`Unknown retryPolicy field: ${key}`);
+    }
+  }
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1 || policy.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    throw new Error(`retryPolicy.maxAttempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}`);
+  }
+  if (policy.budgetMs > LOGIN_REQUEST_TIMEOUT_MS) {
+    throw new Error(`retryPolicy.budgetMs must not exceed the request timeout of ${LOGIN_REQUEST_TIMEOUT_MS}ms`);
+  }
+  return policy;
+}
+
+/**
+ * Error code of an attempt as used by the policy.
+ * A failed login that saw an HTTP 503 counts as "SERVICE_UNAVAILABLE".
+ */
+function attemptErrorCode(result) {
+  if (result.token) {
+    return null;
+  }
+  if (result.serviceUnavailable) {
+    return 'SERVICE_UNAVAILABLE';
+  }
+  return result.error || 'UNKNOWN_ERROR';
+}
+
+function isRetryable(policy, errorCode) {
+  return Boolean(errorCode) && policy.retryableErrors.includes(errorCode);
+}
+
+function keepsProxy(policy, errorCode) {
+  return policy.keepProxyOn.includes(errorCode);
+}
+
+/**
+ * Delay before the given attempt (2 = first retry): backoffMs * backoffMultiplier^(attempt - 2), capped at maxBackoffMs.
+ */
+function backoffDelay(policy, attempt) {
+  if (attempt < 2 || policy.backoffMs <= 0) {
+    return 0;
+  }
+  const delay = policy.backoffMs * Math.pow(policy.backoffMultiplier, attempt - 2);
+  return Math.min(delay, policy.maxBackoffMs);
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  attemptErrorCode,
+  isRetryable,
+  keepsProxy,
+  backoffDelay
+};
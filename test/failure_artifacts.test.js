@@ -0,0 +1,38 @@
+const { useTempDir } = require('./helpers');
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The module prunes ARTIFACTS_DIR of the working directory when it is loaded
+after(useTempDir());
+const { maskPassword, maskDom } = require('../core/failure_artifacts');
+
+const PASSWORD = 'p@ss w/rd&1';
+
+test('maskPassword replaces the plain, URL encoded and form encoded password', () => {
+  const text = [
+    `password=${PASSWORD}`,
+    `https://example.com/?p=${encodeURIComponent(PASSWORD)}`,
+    `body: ${new URLSearchParams({ password: PASSWORD })}`
+  ].join('\n');
+  assert.equal(maskPassword(text, PASSWORD), 'password=***\nhttps://example.com/?p=***\nbody: password=***');
+});
+
+test('maskPassword leaves the text alone without a password or text', () => {
+  assert.equal(maskPassword('nothing to hide', ''), 'nothing to hide');
+  assert.equal(maskPassword('nothing to hide', undefined), 'nothing to hide');
+  assert.equal(maskPassword(undefined, PASSWORD), undefined);
+});
+
+test('maskDom masks the password and empties the value of password inputs', () => {
+  const html = [
+    '<input type="text" name="user" value="trainer">',
+    `<input type="password" name="pass" value="${PASSWORD}">`,
+    "<input name=pin type=password value='reflected'>",
+    `<p>${PASSWORD}</p>`
+  ].join('');
+  assert.equal(
+    maskDom(html, PASSWORD),
+    '<input type="text" name="user" value="trainer"><input type="password" name="pass" value="">'
+      + "<input name=pin type=password value=''><p>***</p>"
+  );
+});
@@ -0,0 +1,24 @@
+// test/helpers.js
+// Shared test setup. Not a test file itself: `npm test` only runs test/*.test.js.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// utils/logger.js hands out global.logger if one is set, so the tests run without log output
+global.logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Switches into a fresh temp directory, for modules that read or write under proxy_data/ of the working
+ * directory when they are loaded. Returns a function that switches back and deletes the directory.
+ */
+function useTempDir() {
+  const previous = process.cwd();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'v-login-test-'));
+  process.chdir(directory);
+  return () => {
+    process.chdir(previous);
+    fs.rmSync(directory, { recursive: true, force: true });
+  };
+}
+
+module.exports = { useTempDir };
@@ -0,0 +1,93 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginQueue, JobState } = require('../core/login_queue');
+
+// Worker whose jobs finish only when the test says so
+function controlledWorker() {
+  const calls = [];
+  const worker = (job, payload) => new Promise(resolve => calls.push({ job, payload, resolve }));
+  return { worker, calls };
+}
+
+const ok = { statusCode: 200, body: { status: 'SUCCESS' } };
+
+test('runs at most `concurrency` jobs and starts the next one when a slot frees up', async () => {
+  const { worker, calls } = controlledWorker();
+  const queue = new LoginQueue({ concurrency: 2, worker });
+  const jobs = [queue.enqueue({ n: 1 }), queue.enqueue({ n: 2 }), queue.enqueue({ n: 3 })];
+
+  assert.deepEqual(jobs.map(job => job.state), [JobState.RUNNING, JobState.RUNNING, JobState.QUEUED]);
+  assert.deepEqual(queue.stats(), { queued: 1, running: 2, concurrency: 2, maxQueueSize: 20 });
+  assert.equal(queue.describe(jobs[2]).position, 1);
+
+  calls[0].resolve(ok);
+  assert.deepEqual(await jobs[0].done, ok);
+  assert.equal(jobs[0].state, JobState.DONE);
+  assert.equal(jobs[2].state, JobState.RUNNING);
+  assert.deepEqual(calls[2].payload, { n: 3 });
+});
+
+test('refuses jobs once maxQueueSize jobs are waiting', () => {
+  const { worker } = controlledWorker();
+  const queue = new LoginQueue({ concurrency: 1, maxQueueSize: 1, worker });
+  assert.ok(queue.enqueue({}));
+  assert.ok(queue.enqueue({}));
+  assert.equal(queue.enqueue({}), null);
+});
+
+test('never reports the payload of a job', async () => {
+  const { worker, calls } = controlledWorker();
+  const queue = new LoginQueue({ concurrency: 1, worker });
+  const job = queue.enqueue({ username: 'trainer', password: 'secret' });
+  calls[0].resolve(ok);
+  await job.done;
+  const description = JSON.stringify(queue.describe(job));
+  assert.doesNotMatch(description, /secret|trainer/);
+  assert.equal(queue.describe(job).httpStatus, 200);
+});
+
+test('a job cancelled while queued never reaches the worker and goes to onCancelled', async () => {
+  const { worker, calls } = controlledWorker();
+  const cancelled = [];
+  const queue = new LoginQueue({ concurrency: 1, worker, onCancelled: (job, payload, response) => cancelled.push({ job, payload, response }) });
+  queue.enqueue({ n: 1 });
+  const waiting = queue.enqueue({ n: 2 });
+
+  assert.equal(queue.cancel(waiting.id), true);
+  assert.equal((await waiting.done).statusCode, 409);
+  assert.equal(waiting.state, JobState.CANCELLED);
+  assert.equal(waiting.signal.aborted, true);
+  assert.deepEqual(cancelled.map(({ payload, response }) => [payload, response.statusCode]), [[{ n: 2 }, 409]]);
+
+  calls[0].resolve(ok);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(calls.length, 1);
+  assert.equal(queue.cancel(waiting.id), false);
+});
+
+test('cancelling a running job aborts its signal and discards what the worker returns later', async () => {
+  const { worker, calls } = controlledWorker();
+  const cancelled = [];
+  const queue = new LoginQueue({ concurrency: 1, worker, onCancelled: job => cancelled.push(job) });
+  const job = queue.enqueue({});
+
+  assert.equal(queue.cancel(job.id, 'Client disconnected'), true);
+  assert.equal(job.signal.aborted, true);
+  assert.equal(job.signal.reason.message, 'Client disconnected');
+  // The worker still reports its own result for a running job
+  assert.equal(cancelled.length, 0);
+
+  calls[0].resolve(ok);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(job.state, JobState.CANCELLED);
+  assert.equal(job.response.statusCode, 409);
+  assert.equal(queue.stats().running, 0);
+});
+
+test('a throwing worker finishes its job with 500 and frees the slot', async () => {
+  const queue = new LoginQueue({ concurrency: 1, worker: async () => { throw new Error('boom'); } });
+  const job = queue.enqueue({});
+  assert.equal((await job.done).statusCode, 500);
+  assert.equal(queue.stats().running, 0);
+});
@@ -0,0 +1,61 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CATEGORIES, errorCategory, recordOutcome, scoreFor, selectionWeight } = require('../utils/proxyScore');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 100 * 24 * HOUR;
+
+test('errorCategory maps login error codes to categories', () => {
+  assert.equal(errorCategory('IP_BLOCKED'), 'blocked');
+  assert.equal(errorCategory('IMPERVA_BLOCKED'), 'blocked');
+  assert.equal(errorCategory('PROXY_MISMATCH'), 'proxy');
+  assert.equal(errorCategory('NAVIGATION_TIMEOUT'), 'slow');
+  assert.equal(errorCategory('SERVICE_UNAVAILABLE'), 'upstream');
+  assert.equal(errorCategory('INVALID_CREDENTIALS'), 'other');
+  assert.ok(Object.keys(ERROR_CATEGORIES).includes(errorCategory(undefined)));
+});
+
+test('recordOutcome keeps at most 20 outcomes, none older than 24 hours', () => {
+  const outcomes = [{ at: NOW - 25 * HOUR, host: 'a', category: 'success' }];
+  recordOutcome(outcomes, { at: NOW, host: 'a', category: 'proxy' }, NOW);
+  assert.deepEqual(outcomes, [{ at: NOW, host: 'a', category: 'proxy' }]);
+
+  for (let i = 1; i <= 25; i++) {
+    recordOutcome(outcomes, { at: NOW + i, host: 'a', category: 'success' }, NOW + i);
+  }
+  assert.equal(outcomes.length, 20);
+  assert.equal(outcomes[0].at, NOW + 6);
+  assert.equal(outcomes[19].at, NOW + 25);
+});
+
+test('scoreFor starts new proxies at 1 and weighs failures by their penalty', () => {
+  assert.equal(scoreFor([], 'a', NOW), 1);
+  assert.equal(scoreFor([{ at: NOW, host: 'a', category: 'success' }], 'a', NOW), 1);
+  // (1 virtual success + 1 success + (1 - 0.8)) / 3
+  const outcomes = [{ at: NOW, host: 'a', category: 'success' }, { at: NOW, host: 'a', category: 'proxy' }];
+  assert.equal(scoreFor(outcomes, 'a', NOW), 2.2 / 3);
+  // A 503 of the target barely counts against the proxy
+  assert.equal(scoreFor([{ at: NOW, host: 'a', category: 'upstream' }], 'a', NOW), 1.9 / 2);
+});
+
+test('scoreFor counts host scoped failures and successes only on their own host', () => {
+  const outcomes = [
+    { at: NOW, host: 'a', category: 'blocked' },
+    { at: NOW, host: 'a', category: 'success' },
+    { at: NOW, host: 'a', category: 'slow' }
+  ];
+  // On host a: virtual success + blocked (0) + success + slow (0.6)
+  assert.equal(scoreFor(outcomes, 'a', NOW), 2.6 / 4);
+  // On host b only the slow proxy counts: virtual success + slow (0.6)
+  assert.equal(scoreFor(outcomes, 'b', NOW), 1.6 / 2);
+});
+
+test('scoreFor ignores outcomes older than the window', () => {
+  assert.equal(scoreFor([{ at: NOW - 25 * HOUR, host: 'a', category: 'blocked' }], 'a', NOW), 1);
+});
+
+test('selectionWeight keeps badly scored proxies selectable', () => {
+  assert.equal(selectionWeight(0), 0.05);
+  assert.equal(selectionWeight(0.5), 0.5);
+});
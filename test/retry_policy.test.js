@@ -0,0 +1,64 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRetryPolicy, attemptErrorCode, isRetryable, keepsProxy, backoffDelay } = require('../core/retry_policy');
+
+test('resolveRetryPolicy returns a copy of the defaults without an override', () => {
+  const policy = resolveRetryPolicy(undefined);
+  assert.equal(policy.maxAttempts, 2);
+  assert.deepEqual(policy.retryableErrors, ['IP_BLOCKED', 'NAVIGATION_TIMEOUT', 'SERVICE_UNAVAILABLE', 'PROXY_MISMATCH']);
+  assert.deepEqual(policy.keepProxyOn, []);
+  assert.ok(policy.budgetMs <= 60000);
+
+  policy.maxAttempts = 5;
+  assert.equal(resolveRetryPolicy(null).maxAttempts, 2);
+});
+
+test('resolveRetryPolicy merges the override into the defaults', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 3, keepProxyOn: ['NAVIGATION_TIMEOUT'] });
+  assert.equal(policy.maxAttempts, 3);
+  assert.deepEqual(policy.keepProxyOn, ['NAVIGATION_TIMEOUT']);
+  assert.equal(policy.maxBackoffMs, 10000);
+});
+
+test('resolveRetryPolicy rejects invalid overrides', () => {
+  const invalid = [
+    [[], /must be an object/],
+    ['3', /must be an object/],
+    [{ retries: 3 }, /Unknown retryPolicy field: retries/],
+    [{ backoffMs: -1 }, /backoffMs must be a non-negative number/],
+    [{ backoffMs: Infinity }, /backoffMs must be a non-negative number/],
+    [{ maxAttempts: '3' }, /maxAttempts must be a non-negative number/],
+    [{ maxAttempts: 0 }, /maxAttempts must be an integer between 1 and 10/],
+    [{ maxAttempts: 1.5 }, /maxAttempts must be an integer between 1 and 10/],
+    [{ maxAttempts: 11 }, /maxAttempts must be an integer between 1 and 10/],
+    [{ retryableErrors: 'IP_BLOCKED' }, /retryableErrors must be an array of error codes/],
+    [{ keepProxyOn: [1] }, /keepProxyOn must be an array of error codes/],
+    [{ budgetMs: 10 * 60 * 1000 }, /budgetMs must not exceed the request timeout/]
+  ];
+  for (const [override, message] of invalid) {
+    assert.throws(() => resolveRetryPolicy(override), message, JSON.stringify(override));
+  }
+});
+
+test('attemptErrorCode maps login results to policy error codes', () => {
+  assert.equal(attemptErrorCode({ token: 'abc' }), null);
+  assert.equal(attemptErrorCode({ error: 'IP_BLOCKED', serviceUnavailable: true }), 'SERVICE_UNAVAILABLE');
+  assert.equal(attemptErrorCode({ error: 'NAVIGATION_TIMEOUT' }), 'NAVIGATION_TIMEOUT');
+  assert.equal(attemptErrorCode({}), 'UNKNOWN_ERROR');
+});
+
+test('isRetryable and keepsProxy follow the policy lists', () => {
+  const policy = resolveRetryPolicy({ retryableErrors: ['IP_BLOCKED'], keepProxyOn: ['NAVIGATION_TIMEOUT'] });
+  assert.equal(isRetryable(policy, 'IP_BLOCKED'), true);
+  assert.equal(isRetryable(policy, 'INVALID_CREDENTIALS'), false);
+  assert.equal(isRetryable(policy, null), false);
+  assert.equal(keepsProxy(policy, 'NAVIGATION_TIMEOUT'), true);
+  assert.equal(keepsProxy(policy, 'IP_BLOCKED'), false);
+});
+
+test('backoffDelay grows exponentially from the first retry and is capped', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 6, backoffMs: 1000, backoffMultiplier: 3, maxBackoffMs: 5000 });
+  assert.deepEqual([1, 2, 3, 4].map(attempt => backoffDelay(policy, attempt)), [0, 1000, 3000, 5000]);
+  assert.equal(backoffDelay(resolveRetryPolicy({ backoffMs: 0 }), 3), 0);
+});
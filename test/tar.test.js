@@ -0,0 +1,60 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTar } = require('../utils/tar');
+
+// Reads the fields of a ustar header the way tar(1) does
+function readHeader(block) {
+  const field = (offset, length) => block.subarray(offset, offset + length).toString('utf8').replace(/\0.*$/s, '');
+  const stored = parseInt(field(148, 8).trim(), 8);
+  const unsigned = Buffer.from(block);
+  unsigned.fill(' ', 148, 156);
+  return {
+    name: field(0, 100),
+    mode: parseInt(field(100, 8), 8),
+    size: parseInt(field(124, 12), 8),
+    mtime: parseInt(field(136, 12), 8),
+    type: field(156, 1),
+    magic: field(257, 6),
+    checksumValid: stored === unsigned.reduce((sum, byte) => sum + byte, 0)
+  };
+}
+
+test('createTar writes a ustar header, the padded content and two end blocks per archive', () => {
+  const data = Buffer.from('hello tar');
+  const archive = createTar([{ name: 'req/attempt-1/meta.json', data, mtime: 1700000000999 }]);
+
+  assert.equal(archive.length, 512 + 512 + 1024);
+  assert.deepEqual(readHeader(archive.subarray(0, 512)), {
+    name: 'req/attempt-1/meta.json',
+    mode: 0o644,
+    size: data.length,
+    mtime: 1700000000,
+    type: '0',
+    magic: 'ustar',
+    checksumValid: true
+  });
+  assert.deepEqual(archive.subarray(512, 512 + data.length), data);
+  assert.ok(archive.subarray(512 + data.length).every(byte => byte === 0));
+});
+
+test('createTar puts the entries one after the other', () => {
+  const first = Buffer.alloc(512, 1);
+  const second = Buffer.alloc(513, 2);
+  const archive = createTar([{ name: 'a', data: first }, { name: 'b', data: second }]);
+
+  // a: header + 1 block, b: header + 2 blocks, end: 2 blocks
+  assert.equal(archive.length, 512 * 7);
+  assert.equal(readHeader(archive.subarray(0, 512)).name, 'a');
+  assert.deepEqual(archive.subarray(512, 1024), first);
+  const header = readHeader(archive.subarray(1024, 1536));
+  assert.equal(header.name, 'b');
+  assert.equal(header.size, 513);
+  assert.equal(header.checksumValid, true);
+  assert.deepEqual(archive.subarray(1536, 1536 + 513), second);
+});
+
+test('createTar rejects names that do not fit into the name field', () => {
+  assert.throws(() => createTar([{ name: 'x'.repeat(101), data: Buffer.alloc(0) }]), /Name too long/);
+  assert.doesNotThrow(() => createTar([{ name: 'x'.repeat(100), data: Buffer.alloc(0) }]));
+});
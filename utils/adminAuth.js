@@ -0,0 +1,55 @@
+// utils/adminAuth.js
+const crypto = require('crypto');
+const logger = require('./logger');
+const { AuthResponseStatus } = require('../core/auth_response');
+
+/**
+ * Extracts the admin token of a request: "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+ */
+function getRequestToken(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-admin-token'] || null;
+}
+
+/**
+ * Compares a token with ADMIN_TOKEN in constant time. Without ADMIN_TOKEN every token is refused.
+ */
+function isValidAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || !token) {
+    return false;
+  }
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Express middleware protecting the admin routes with ADMIN_TOKEN.
+ * If no ADMIN_TOKEN is configured, the admin routes are disabled (503).
+ */
+function requireAdminToken(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Admin API is disabled, set ADMIN_TOKEN to enable it."
+    });
+  }
+  if (!isValidAdminToken(getRequestToken(req))) {
+    logger.warn(`Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}: invalid token`);
+    return res.status(401).json({
+      status: AuthResponseStatus.ERROR,
+      description: "Invalid or missing admin token"
+    });
+  }
+  return next();
+}
+
+module.exports = {
+  requireAdminToken,
+  isValidAdminToken,
+  getRequestToken
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('./logger');
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const AUDIT_LOG_ENABLED = process.env.AUDIT_LOG_ENABLED !== 'false';
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || 'proxy_data/audit.jsonl';
+// Rotation: audit.jsonl -> audit.jsonl.1 -> ... -> audit.jsonl.<AUDIT_LOG_MAX_FILES> (dropped afterwards)
+const AUDIT_LOG_MAX_BYTES = +process.env.AUDIT_LOG_MAX_BYTES || 10 * 1024 * 1024;
+const AUDIT_LOG_MAX_FILES = +process.env.AUDIT_LOG_MAX_FILES || 5;
+// Store usernames as keyed hashes instead of plain text (queries by username keep working)
+const AUDIT_HASH_USERNAMES = process.env.AUDIT_HASH_USERNAMES === 'true';
+const AUDIT_HASH_SECRET = process.env.AUDIT_HASH_SECRET || '';
+const AUDIT_QUERY_MAX_LIMIT = 1000;
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+// Appends are chained so that entries never interleave and rotation happens between two writes
+let writeChain = Promise.resolve();
+let currentSize = null;
+
+/**
+ * Username as it is stored: plain, or "sha256:<hmac>" with AUDIT_HASH_USERNAMES=true.
+ */
+function auditUsername(username) {
+  if (!username || !AUDIT_HASH_USERNAMES) {
+    return username || null;
+  }
+  return `sha256:${crypto.createHmac('sha256', AUDIT_HASH_SECRET).update(username).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Builds the audit entry of a finished login job. Only the listed fields are taken over,
+ * so passwords and login codes never reach the file.
+ * @param {Object} record - { requestId, caller: { ip, userAgent }, username, host, proxySelector, result, response, startedAt }
+ *                          `response` is the { statusCode, body } the caller got.
+ */
+function buildAuditEntry({ requestId, caller, username, host, proxySelector, result, response, startedAt }) {
+  const attempts = Array.isArray(response.body.attempts) ? response.body.attempts : [];
+  return {
+    at: new Date().toISOString(),
+    requestId,
+    caller: { ip: caller ? caller.ip : null, userAgent: caller ? caller.userAgent : null },
+    username: auditUsername(username),
+    host,
+    proxySelector: proxySelector || null,
+    result,
+    httpStatus: response.statusCode,
+    durationMs: Date.now() - startedAt,
+    attempts: attempts.map(({ attempt, proxy, error, durationMs }) => ({ attempt, proxy, error, durationMs }))
+  };
+}
+
+async function rotateAuditLog() {
+  for (let index = AUDIT_LOG_MAX_FILES - 1; index >= 1; index--) {
+    await fs.promises.rename(`${AUDIT_LOG_FILE}.${index}`, `${AUDIT_LOG_FILE}.${index + 1}`).catch(() => {});
+  }
+  await fs.promises.rename(AUDIT_LOG_FILE, `${AUDIT_LOG_FILE}.1`).catch(() => {});
+  currentSize = 0;
+  logger.info(`rotateAuditLog: Rotated ${AUDIT_LOG_FILE}`);
+}
+
+async function writeAuditLine(line) {
+  if (currentSize === null) {
+    await fs.promises.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    currentSize = await fs.promises.stat(AUDIT_LOG_FILE).then(stats => stats.size, () => 0);
+  }
+  if (currentSize > 0 && currentSize + Buffer.byteLength(line) > AUDIT_LOG_MAX_BYTES) {
+    await rotateAuditLog();
+  }
+  await fs.promises.appendFile(AUDIT_LOG_FILE, line, 'utf8');
+  currentSize += Buffer.byteLength(line);
+}
+
+/**
+ * Appends an entry (see buildAuditEntry) to the audit log. Never rejects; write errors are logged.
+ */
+function appendAuditEntry(entry) {
+  if (!AUDIT_LOG_ENABLED) {
+    return Promise.resolve();
+  }
+  const line = JSON.stringify(entry) + '\n';
+  writeChain = writeChain
+    .then(() => writeAuditLine(line))
+    .catch(err => logger.error(`appendAuditEntry: Could not write the audit log: ${err.message}`));
+  return writeChain;
+}
+
+/**
+ * Resolves once all pending entries are written (e.g. before shutdown).
+ */
+function flushAuditLog() {
+  return writeChain;
+}
+
+function matchesQuery(entry, { username, from, to, result, proxy }) {
+  const at = Date.parse(entry.at);
+  return (!username || entry.username === username)
+    && (!from || at >= from)
+    && (!to || at <= to)
+    && (!result || entry.result === result)
+    && (!proxy || (entry.attempts || []).some(attempt => attempt.proxy && attempt.proxy.includes(proxy)));
+}
+
+/**
+ * Searches the audit log, newest entries first, across the rotated files.
+ * @param {Object} query - { username, from (ms), to (ms), result, proxy (part of the masked proxy URL), limit }
+ * @returns {Promise<Object[]>}
+ */
+async function queryAuditLog({ username, from, to, result, proxy, limit = 100 } = {}) {
+  await flushAuditLog();
+  const filters = { username: auditUsername(username), from, to, result, proxy };
+  const maxEntries = Math.min(limit, AUDIT_QUERY_MAX_LIMIT);
+  const files = [AUDIT_LOG_FILE];
+  for (let index = 1; index <= AUDIT_LOG_MAX_FILES; index++) {
+    files.push(`${AUDIT_LOG_FILE}.${index}`);
+  }
+
+  const entries = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+    const fileEntries = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        const entry = JSON.parse(line);
+        if (matchesQuery(entry, filters)) {
+          fileEntries.push(entry);
+        }
+      } catch (err) {
+        logger.warn(`queryAuditLog: Skipping unreadable line in ${file}`);
+      }
+    }
+    entries.push(...fileEntries.reverse());
+    if (entries.length >= maxEntries) {
+      break;
+    }
+  }
+  return entries.slice(0, maxEntries);
+}
+
+module.exports = {
+  buildAuditEntry,
+  appendAuditEntry,
+  flushAuditLog,
+  queryAuditLog
+};
@@ -0,0 +1,40 @@
+const { KeyedJsonStore } = require('./keyedJsonStore');
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const FINGERPRINTS_FILE = process.env.FINGERPRINTS_FILE || 'proxy_data/fingerprints.json';
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+// username -> { profile, pinned, createdAt, rotatedAt, lastUsed }
+const store = new KeyedJsonStore({ file: FINGERPRINTS_FILE, name: 'fingerprint profiles' });
+
+function getFingerprint(username) {
+  return store.get(username);
+}
+
+function setFingerprint(username, entry) {
+  return store.set(username, entry);
+}
+
+function listFingerprints() {
+  return store.list().map(([username, entry]) => ({ username, ...entry }));
+}
+
+function deleteFingerprint(username) {
+  return store.delete(username);
+}
+
+function flushFingerprints() {
+  return store.flush();
+}
+
+module.exports = {
+  getFingerprint,
+  setFingerprint,
+  listFingerprints,
+  deleteFingerprint,
+  flushFingerprints
+};
@@ -1,14 +1,108 @@
 // utils/helpers.js
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
 
-const setTimeoutPromise = (ms) => {
+/**
+ * Creates the error used for cancelled operations (timeout, client disconnect, job cancelled).
+ * @param {*} [reason] - signal.reason of the aborted signal.
+ */
+const createAbortError = (reason) => {
+  const message = reason instanceof Error ? reason.message : (reason || 'Operation aborted');
+  const error = new Error(message);
+  error.name = 'AbortError';
+  return error;
+};
+
+const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal.reason);
+  }
+};
+
+/**
+ * Races a promise against an AbortSignal: rejects with an AbortError as soon as the signal fires.
+ * The original promise keeps running, its result (or rejection) is ignored.
+ */
+const abortable = (promise, signal) => {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(createAbortError(signal.reason));
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      promise.catch(() => {});
+      reject(createAbortError(signal.reason));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+/**
+ * Parses a comma separated env value ("a, b,c") into a list.
+ * Returns the fallback if the variable is not set at all; an empty value yields an empty list.
+ */
+const parseList = (value, fallback) =>
+  value !== undefined ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+
+/**
+ * Host name of a URL (lower case), or null if the URL cannot be parsed. Proxy stats are kept per target host.
+ */
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Writes a file via temp file + fsync + rename: a crash leaves the old or the new file, never half of one.
+ * The directory is created if needed.
+ */
+const writeFileAtomic = async (file, data) => {
+  const tempFile = file + '.tmp';
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const handle = await fs.promises.open(tempFile, 'w');
+  try {
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempFile, file);
+};
+
+const setTimeoutPromise = (ms, signal) => {
   logger.debug(`setTimeoutPromise: Waiting for ${ms}ms`);
-  return new Promise(resolve => setTimeout(() => {
+  return abortable(new Promise(resolve => setTimeout(() => {
     logger.debug(`setTimeoutPromise: Resolved after ${ms}ms`);
     resolve();
-  }, ms));
+  }, ms)), signal);
 };
 
 module.exports = {
-  setTimeoutPromise
+  setTimeoutPromise,
+  parseList,
+  getHostname,
+  writeFileAtomic,
+  abortable,
+  throwIfAborted,
+  createAbortError,
+  isAbortError
 };
@@ -1,48 +1,74 @@
-const winston = require('winston');
+// utils/ipUtils.js
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const logger = require('./logger');
 
-// Default log level is "info" - can be set to "debug" for development, for example.
-const logLevel = process.env.LOG_LEVEL || 'debug'; 
+// Endpoint that returns the caller's public IP as plain text
+const IP_ECHO_URL = process.env.IP_ECHO_URL || 'https://api.ipify.org/';
+const HOST_IP_CACHE_TTL_MS = +process.env.HOST_IP_CACHE_TTL_MS || 10 * 60 * 1000; // 10 Min
 
-// Custom Format: Request-ID, Timestamp, Log-Level and Message
-const customFormat = winston.format.printf(({ timestamp, level, message, requestId, ...meta }) => {
-  // If requestId exists, prepend it to the message
-  const prefix = requestId ? `[${requestId}] ` : ''; 
-  const metaString = Object.keys(meta).length ? JSON.stringify(meta, null, 2) : '';
-  return `${timestamp} [${level}] ${prefix}${message} ${metaString}`;
-});
+let hostIpCache = { ip: null, fetchedAt: 0 };
 
-const logger = winston.createLogger({
-  level: logLevel,
-  format: winston.format.combine(
-    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    customFormat // Using the new format here
-  ),
-  transports: [
-    // File output - all logs are persisted here
-    new winston.transports.File({
-      filename: '/tmp/app.log',
-      level: logLevel,
-    }).on('error', error => {
-      console.error('Error writing to app.log:', error);
-    }),
-    // Console output with color
-    new winston.transports.Console({
-      level: logLevel,
-      format: winston.format.combine(
-        winston.format.colorize({ all: true }),
-        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-        customFormat // And here as well
-      )
-    })
-  ],
-});
+/**
+ * Extracts the first IPv4 or IPv6 address from a text (e.g. the body of an IP echo page).
+ * @returns {string|null}
+ */
+function extractIp(text) {
+  if (!text) {
+    return null;
+  }
+  const ipv4 = text.match(/\b\d{1,3}(?:\.\d{1,3}){3}\b/);
+  if (ipv4 && net.isIPv4(ipv4[0])) {
+    return ipv4[0];
+  }
+  const candidates = text.match(/[0-9a-fA-F:]{3,}/g) || [];
+  return candidates.find(candidate => net.isIPv6(candidate)) || null;
+}
 
-// Helper function to set the Request-ID in the log context
-logger.setRequestId = (requestId) => {
-  logger.defaultMeta = { requestId }; 
-};
+/**
+ * Public IP of this host (requests without any proxy). Cached for HOST_IP_CACHE_TTL_MS.
+ * @returns {Promise<string|null>} - null if the echo endpoint could not be reached.
+ */
+async function getHostIp() {
+  if (hostIpCache.ip && Date.now() - hostIpCache.fetchedAt < HOST_IP_CACHE_TTL_MS) {
+    return hostIpCache.ip;
+  }
+  try {
+    const response = await axios.get(IP_ECHO_URL, { proxy: false, timeout: 5000, responseType: 'text' });
+    const ip = extractIp(String(response.data));
+    if (ip) {
+      hostIpCache = { ip, fetchedAt: Date.now() };
+      logger.debug(`getHostIp: Host IP is ${ip}`);
+    }
+    return ip;
+  } catch (err) {
+    logger.warn(`getHostIp: Could not determine host IP via ${IP_ECHO_URL}: ${err.message}`);
+    return hostIpCache.ip;
+  }
+}
 
-// Additional debug log when initializing the logger
-logger.debug(`Logger initialized with log level: ${logLevel}`);
+/**
+ * Resolves a hostname to all of its IP addresses. IP literals are returned as they are.
+ * @returns {Promise<string[]>}
+ */
+async function resolveHostIps(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return [host];
+  }
+  try {
+    const addresses = await dns.lookup(host, { all: true });
+    return addresses.map(entry => entry.address);
+  } catch (err) {
+    logger.warn(`resolveHostIps: Could not resolve ${host}: ${err.message}`);
+    return [];
+  }
+}
 
-module.exports = logger;
+module.exports = {
+  IP_ECHO_URL,
+  extractIp,
+  getHostIp,
+  resolveHostIps
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./helpers');
+
+/**
+ * Per-account entries (fingerprint profiles, proxy affinities) persisted as one JSON object keyed by username.
+ *
+ * - Entries live in a Map: usernames like "__proto__" or "constructor" are plain keys, never inherited properties.
+ * - Changes are written at most once per flushMs, off the request path, via writeFileAtomic() (utils/helpers.js).
+ */
+class KeyedJsonStore {
+  constructor({ file, name, flushMs = 1000 }) {
+    this.file = file;
+    this.name = name;
+    this.flushMs = flushMs;
+    this.entries = new Map();
+    this.dirty = false;
+    this.timer = null;
+    this.writing = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.entries = new Map(Object.entries(content));
+        logger.debug(`Loaded ${this.entries.size} ${this.name}`);
+      } else {
+        logger.debug(`No ${this.name} file found, starting empty`);
+      }
+    } catch (err) {
+      logger.error(`Error loading ${this.name}:`, err);
+      this.entries = new Map();
+    }
+  }
+
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+    this.markChanged();
+    return entry;
+  }
+
+  delete(key) {
+    if (!this.entries.delete(key)) {
+      return false;
+    }
+    this.markChanged();
+    return true;
+  }
+
+  list() {
+    return [...this.entries.entries()];
+  }
+
+  markChanged() {
+    this.dirty = true;
+    if (this.timer) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(err => logger.error(`Error saving ${this.name}:`, err));
+    }, this.flushMs);
+  }
+
+  /**
+   * Writes pending changes now; resolves when they are on disk.
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    // One write at a time; changes made during a write are picked up by the next one
+    while (this.writing) {
+      await this.writing;
+    }
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    this.writing = writeFileAtomic(this.file, JSON.stringify(Object.fromEntries(this.entries), null, 2));
+    try {
+      await this.writing;
+    } catch (err) {
+      this.dirty = true;
+      throw err;
+    } finally {
+      this.writing = null;
+    }
+  }
+}
+
+module.exports = { KeyedJsonStore };
@@ -0,0 +1,96 @@
+// utils/loginEvents.js
+/**
+ * Live login progress events.
+ *
+ * The login code calls emitLoginEvent() at each step (proxy chosen, browser connected, credentials typed, ...);
+ * the WebSocket stream (api/events.js) subscribes. Events never carry passwords or login codes,
+ * proxies are masked. Subscribers are called synchronously and must not block: a failing subscriber is
+ * logged and skipped, the login goes on.
+ */
+const logger = require('./logger');
+
+const LoginEventType = {
+  QUEUED: 'queued',
+  STARTED: 'started',
+  PROXY_SELECTED: 'proxy_selected',
+  ATTEMPT_STARTED: 'attempt_started',
+  BROWSER_CONNECTED: 'browser_connected',
+  NAVIGATION_DONE: 'navigation_done',
+  CREDENTIALS_ENTERED: 'credentials_entered',
+  CONSENT_PAGE: 'consent_page',
+  ORY_CODE_CAPTURED: 'ory_code_captured',
+  ERROR_CLASSIFIED: 'error_classified',
+  FINISHED: 'finished'
+};
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+// Events of the most recent requests are kept, so a client that subscribes to a request late still gets its history
+const LOGIN_EVENT_HISTORY_REQUESTS = +process.env.LOGIN_EVENT_HISTORY_REQUESTS || 200;
+const LOGIN_EVENT_HISTORY_PER_REQUEST = 100;
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+const subscribers = new Set();
+// requestId -> events, oldest request first (Map insertion order)
+const history = new Map();
+
+function remember(event) {
+  let events = history.get(event.requestId);
+  if (!events) {
+    events = [];
+    history.set(event.requestId, events);
+    if (history.size > LOGIN_EVENT_HISTORY_REQUESTS) {
+      history.delete(history.keys().next().value);
+    }
+  }
+  if (events.length < LOGIN_EVENT_HISTORY_PER_REQUEST) {
+    events.push(event);
+  }
+}
+
+/**
+ * Publishes a login event. Without a request ID (self-test, readiness probes) nothing is emitted.
+ * @param {string} requestId - Request/job ID of the login.
+ * @param {string} type - One of LoginEventType.
+ * @param {Object} [data] - Step details, e.g. { attempt, proxy (masked), error }.
+ */
+function emitLoginEvent(requestId, type, data = {}) {
+  if (!requestId) {
+    return;
+  }
+  const event = { type, requestId, at: new Date().toISOString(), ...data };
+  remember(event);
+  subscribers.forEach(subscriber => {
+    try {
+      subscriber(event);
+    } catch (err) {
+      logger.warn(`emitLoginEvent: Subscriber failed on ${type}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Registers a subscriber for all login events.
+ * @returns {Function} - Unsubscribes again.
+ */
+function subscribeLoginEvents(subscriber) {
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+}
+
+/**
+ * Events emitted so far for a request (empty once it dropped out of the history).
+ */
+function getLoginEventHistory(requestId) {
+  return [...(history.get(requestId) || [])];
+}
+
+module.exports = {
+  LoginEventType,
+  emitLoginEvent,
+  subscribeLoginEvents,
+  getLoginEventHistory
+};
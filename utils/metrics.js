@@ -0,0 +1,169 @@
+// utils/metrics.js
+/**
+ * Minimal Prometheus instrumentation (text exposition format 0.0.4).
+ *
+ * Counters and histograms are updated where things happen; gauges that describe current state
+ * (queue depth, unlocked proxies) are filled by collectors right before the metrics are rendered.
+ */
+
+// ------------------------------------
+// Metric types
+// ------------------------------------
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // label key -> { labels, ... }
+    this.series = new Map();
+  }
+
+  getSeries(labels, create) {
+    const key = labelKey(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+// ------------------------------------
+// Registry
+// ------------------------------------
+const registeredMetrics = [];
+const collectors = [];
+
+function register(metric) {
+  registeredMetrics.push(metric);
+  return metric;
+}
+
+/**
+ * Registers a function that updates gauges right before every scrape.
+ */
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * All metrics in the Prometheus text format.
+ */
+function renderMetrics() {
+  collectors.forEach(collect => collect());
+  return registeredMetrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+}
+
+// ------------------------------------
+// V-Login metrics
+// ------------------------------------
+const metrics = {
+  logins: register(new Counter('vlogin_logins_total', 'Finished login requests by result code (SUCCESS or the error code)')),
+  loginDuration: register(new Histogram('vlogin_login_duration_seconds', 'Duration of login requests from start of the job to the response, by result code', [1, 2.5, 5, 10, 20, 30, 45, 60, 90])),
+  loginAttempts: register(new Histogram('vlogin_login_attempts', 'Attempts loginWithRetry needed per login request', [1, 2, 3, 4, 5, 7, 10])),
+  queueDepth: register(new Gauge('vlogin_queue_depth', 'Login requests waiting for a free slot')),
+  queueRunning: register(new Gauge('vlogin_queue_running', 'Concurrency slots in use')),
+  queueConcurrency: register(new Gauge('vlogin_queue_concurrency', 'Configured concurrency slots (MAX_CONCURRENT_LOGINS)')),
+  proxyResults: register(new Counter('vlogin_proxy_results_total', 'Reported proxy outcomes by proxy (host:port, gateway sessions by gateway), result and error category')),
+  proxies: register(new Gauge('vlogin_proxies', 'Proxies in the pool by state')),
+  notifications: register(new Counter('vlogin_notifications_total', 'Notifier messages by notifier and outcome (sent, failed, dropped)')),
+  browserConnect: register(new Histogram('vlogin_browser_connect_seconds', 'Time to get a ready browser page in Browser.startBrowser(), by source (pool or backend)', [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10]))
+};
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  metrics,
+  registerCollector,
+  renderMetrics
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const { KeyedJsonStore } = require('./keyedJsonStore');
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+// Stored next to proxyStats.json unless configured otherwise
+const PROXY_AFFINITY_FILE = process.env.PROXY_AFFINITY_FILE
+  || path.join(path.dirname(process.env.PROXY_STATS_FILE || 'proxy_data/proxyStats.json'), 'proxyAffinity.json');
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+// username -> { proxy, group, assignedAt, failStreak, lastError, moves: [{ from, to, at, reason }] }
+const store = new KeyedJsonStore({ file: PROXY_AFFINITY_FILE, name: 'proxy affinities' });
+
+function getAffinity(username) {
+  return store.get(username);
+}
+
+function setAffinity(username, entry) {
+  return store.set(username, entry);
+}
+
+function listAffinities() {
+  return store.list().map(([username, entry]) => ({ username, ...entry }));
+}
+
+function deleteAffinity(username) {
+  return store.delete(username);
+}
+
+function flushAffinities() {
+  return store.flush();
+}
+
+module.exports = {
+  getAffinity,
+  setAffinity,
+  listAffinities,
+  deleteAffinity,
+  flushAffinities
+};
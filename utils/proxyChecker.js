@@ -0,0 +1,157 @@
+const axios = require('axios');
+const pLimit = require('p-limit');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const logger = require('./logger');
+const { getHostname } = require('./helpers');
+const { IMPERVA_CHECK_TEXT } = require('../config/constants');
+const { getProxyList, recordProxyCheckResults, maskProxyUrl, parseProxyUrl } = require('./proxyPool');
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const MASSENCHECK_URL = process.env.MASSENCHECK_URL || 'https://www.pokemon.com/us/pokemon-trainer-club/login';
+// Host the cooldown of a blocked proxy applies to (default: the host of MASSENCHECK_URL); other hosts keep using it
+const MASSENCHECK_HOST = (process.env.MASSENCHECK_HOST || getHostname(MASSENCHECK_URL) || '').toLowerCase() || null;
+const MASSENCHECK_CONCURRENCY = +process.env.MASSENCHECK_CONCURRENCY || 10;
+const MASSENCHECK_TIMEOUT_MS = +process.env.MASSENCHECK_TIMEOUT_MS || 10000;
+const MASSENCHECK_INTERVAL_MS = process.env.MASSENCHECK_INTERVAL_MS !== undefined
+  ? +process.env.MASSENCHECK_INTERVAL_MS
+  : 6 * 60 * 60 * 1000; // 6 Stunden, 0 = kein Zeitplan
+
+// ------------------------------------
+// Global Variables
+// ------------------------------------
+let runningCheck = null;
+let lastReport = null;
+let scheduleTimer = null;
+
+function createAgent(proxy) {
+  const { protocol } = parseProxyUrl(proxy);
+  if (protocol.startsWith('socks')) {
+    // Only needed for SOCKS proxies, loaded on demand
+    const { SocksProxyAgent } = require('socks-proxy-agent');
+    return new SocksProxyAgent(proxy);
+  }
+  return new HttpsProxyAgent(proxy);
+}
+
+/**
+ * Checks a single proxy: requests MASSENCHECK_URL through it and measures the latency.
+ * @returns {Promise<Object>} - { proxy, status: 'ok' | 'blocked' | 'upstream' | 'dead', latencyMs, httpStatus, error, checkedAt }
+ *   - blocked: the target answered with 403 or the Incapsula block page
+ *   - upstream: the proxy works, but the target answered with another error status (e.g. 503)
+ *   - dead: connection error or timeout
+ */
+async function checkProxy(proxy) {
+  const startTime = Date.now();
+  const result = { proxy, status: 'dead', latencyMs: null, httpStatus: null, error: null, checkedAt: new Date().toISOString() };
+  try {
+    const agent = createAgent(proxy);
+    const response = await axios.get(MASSENCHECK_URL, {
+      httpAgent: agent,
+      httpsAgent: agent,
+      proxy: false,
+      timeout: MASSENCHECK_TIMEOUT_MS,
+      // The timeout above starts with the response; a proxy that accepts the connection but never answers is aborted here
+      signal: AbortSignal.timeout(MASSENCHECK_TIMEOUT_MS),
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    result.latencyMs = Date.now() - startTime;
+    result.httpStatus = response.status;
+    const body = typeof response.data === 'string' ? response.data : '';
+    if (response.status === 403 || body.includes(IMPERVA_CHECK_TEXT) || body.includes('Incapsula')) {
+      result.status = 'blocked';
+    } else if (response.status < 400) {
+      result.status = 'ok';
+    } else {
+      result.status = 'upstream';
+      result.error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    result.latencyMs = Date.now() - startTime;
+    result.error = err.code || err.message;
+  }
+  logger.debug(`checkProxy: ${maskProxyUrl(proxy)} => ${result.status} (${result.httpStatus || result.error}, ${result.latencyMs}ms)`);
+  return result;
+}
+
+/**
+ * Mass check: tests every proxy of proxies.txt (MASSENCHECK_CONCURRENCY at a time) and writes the
+ * results into the proxy stats, so dead or blocked proxies start with a cooldown.
+ * A call while a check is running returns the running check.
+ *
+ * @returns {Promise<Object>} - { target, startedAt, durationMs, total, ok, blocked, upstream, dead, results }
+ */
+function checkProxies() {
+  if (runningCheck) {
+    logger.debug('checkProxies: Mass check already running');
+    return runningCheck;
+  }
+  runningCheck = runMassCheck().finally(() => {
+    runningCheck = null;
+  });
+  return runningCheck;
+}
+
+async function runMassCheck() {
+  const proxies = getProxyList();
+  const startedAt = new Date();
+  logger.info(`checkProxies: Checking ${proxies.length} proxies against ${MASSENCHECK_URL} (concurrency ${MASSENCHECK_CONCURRENCY})`);
+
+  const limit = pLimit(MASSENCHECK_CONCURRENCY);
+  const results = await Promise.all(proxies.map(proxy => limit(() => checkProxy(proxy))));
+  // A block only concerns MASSENCHECK_HOST, a dead proxy every host
+  recordProxyCheckResults(results, { host: MASSENCHECK_HOST });
+
+  const count = status => results.filter(result => result.status === status).length;
+  lastReport = {
+    target: MASSENCHECK_URL,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    total: results.length,
+    ok: count('ok'),
+    blocked: count('blocked'),
+    upstream: count('upstream'),
+    dead: count('dead'),
+    results: results.map(({ proxy, ...check }) => ({ proxy: maskProxyUrl(proxy), ...check }))
+  };
+  logger.info(`checkProxies: ${lastReport.ok} ok, ${lastReport.blocked} blocked, ${lastReport.upstream} upstream errors, ${lastReport.dead} dead (${lastReport.durationMs}ms)`);
+  return lastReport;
+}
+
+/**
+ * Report of the last finished mass check (null before the first one).
+ */
+function getLastCheckReport() {
+  return lastReport;
+}
+
+/**
+ * Whether a mass check is running right now.
+ */
+function isProxyCheckRunning() {
+  return runningCheck !== null;
+}
+
+/**
+ * Repeats the mass check every MASSENCHECK_INTERVAL_MS (0 = no schedule).
+ */
+function scheduleProxyChecks(intervalMs = MASSENCHECK_INTERVAL_MS) {
+  if (scheduleTimer || !intervalMs) {
+    return;
+  }
+  logger.info(`scheduleProxyChecks: Checking proxies every ${intervalMs}ms`);
+  scheduleTimer = setInterval(() => {
+    checkProxies().catch(err => logger.error(`scheduleProxyChecks: Mass check failed: ${err.message}`));
+  }, intervalMs);
+  scheduleTimer.unref();
+}
+
+module.exports = {
+  checkProxy,
+  checkProxies,
+  getLastCheckReport,
+  isProxyCheckRunning,
+  scheduleProxyChecks
+};
@@ -0,0 +1,80 @@
+// ------------------------------------
+// Settings
+// ------------------------------------
+// Sliding window of recent outcomes per proxy: at most PROXY_SCORE_WINDOW entries, none older than PROXY_SCORE_WINDOW_MS
+const PROXY_SCORE_WINDOW = +process.env.PROXY_SCORE_WINDOW || 20;
+const PROXY_SCORE_WINDOW_MS = +process.env.PROXY_SCORE_WINDOW_MS || 24 * 60 * 60 * 1000; // 24 Stunden
+// Lowest selection weight, so a badly scored proxy is still tried now and then
+const MIN_SELECTION_WEIGHT = 0.05;
+
+/**
+ * Error categories of a failed attempt:
+ * - penalty: how much one outcome lowers the score (0 = no effect, 1 = as bad as it gets)
+ * - cooldownMs: base cooldown, doubled for every further failure of the same scope (0 = no cooldown)
+ * - hostScoped: the failure only concerns the target host (a proxy burned for Imperva on one site
+ *   stays usable for others); otherwise it concerns the proxy itself, on every host
+ */
+const ERROR_CATEGORIES = {
+  blocked: { penalty: 1, cooldownMs: 60 * 60 * 1000, hostScoped: true }, // IP block / Imperva on this host
+  proxy: { penalty: 0.8, cooldownMs: 15 * 60 * 1000, hostScoped: false }, // proxy does not work (exit IP, connection)
+  slow: { penalty: 0.4, cooldownMs: 2 * 60 * 1000, hostScoped: false }, // proxy too slow for the navigation timeout
+  upstream: { penalty: 0.1, cooldownMs: 0, hostScoped: true }, // target answered 503, barely the proxy's fault
+  other: { penalty: 0.5, cooldownMs: 15 * 60 * 1000, hostScoped: false }
+};
+
+const ERROR_CATEGORY_BY_CODE = {
+  IP_BLOCKED: 'blocked',
+  IMPERVA_BLOCKED: 'blocked',
+  PROXY_MISMATCH: 'proxy',
+  NAVIGATION_TIMEOUT: 'slow',
+  SERVICE_UNAVAILABLE: 'upstream'
+};
+
+function errorCategory(errorCode) {
+  return ERROR_CATEGORY_BY_CODE[errorCode] || 'other';
+}
+
+/**
+ * Adds an outcome to the window and drops what falls out of it.
+ * @param {Object[]} outcomes - [{ at, host, category }] (category 'success' for a success), oldest first.
+ */
+function recordOutcome(outcomes, outcome, now = Date.now()) {
+  outcomes.push(outcome);
+  const recent = outcomes.filter(entry => now - entry.at <= PROXY_SCORE_WINDOW_MS).slice(-PROXY_SCORE_WINDOW);
+  outcomes.splice(0, outcomes.length, ...recent);
+  return outcomes;
+}
+
+/**
+ * Score of a proxy for a target host, between 0 (only failures) and 1 (only successes).
+ * Counts the outcomes on that host plus the failures that concern the proxy on every host.
+ * One virtual success keeps new proxies (empty window) at 1 and smooths the first outcomes.
+ */
+function scoreFor(outcomes, host, now = Date.now()) {
+  let total = 1;
+  let good = 1;
+  outcomes.forEach(entry => {
+    if (now - entry.at > PROXY_SCORE_WINDOW_MS) {
+      return;
+    }
+    const category = ERROR_CATEGORIES[entry.category];
+    if (entry.host !== host && (!category || category.hostScoped)) {
+      return; // successes and host scoped failures of other hosts
+    }
+    total++;
+    good += category ? 1 - category.penalty : 1;
+  });
+  return good / total;
+}
+
+function selectionWeight(score) {
+  return Math.max(score, MIN_SELECTION_WEIGHT);
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  errorCategory,
+  recordOutcome,
+  scoreFor,
+  selectionWeight
+};
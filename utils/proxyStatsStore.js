@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./helpers');
+
+// ------------------------------------
+// Settings
+// ------------------------------------
+const PROXY_STATS_BACKEND = (process.env.PROXY_STATS_BACKEND || 'json').toLowerCase();
+const PROXY_STATS_FILE = process.env.PROXY_STATS_FILE || 'proxy_data/proxyStats.json';
+const PROXY_STATS_DB_FILE = process.env.PROXY_STATS_DB_FILE || 'proxy_data/proxyStats.db';
+// Changes are collected and written at most once per PROXY_STATS_FLUSH_MS
+const PROXY_STATS_FLUSH_MS = +process.env.PROXY_STATS_FLUSH_MS || 1000;
+// SQLite writes block the event loop: rows are written in transactions of at most PROXY_STATS_SQLITE_BATCH_SIZE,
+// and a database locked by another instance is waited for at most PROXY_STATS_SQLITE_BUSY_TIMEOUT_MS per transaction
+const PROXY_STATS_SQLITE_BATCH_SIZE = +process.env.PROXY_STATS_SQLITE_BATCH_SIZE || 100;
+const PROXY_STATS_SQLITE_BUSY_TIMEOUT_MS = +process.env.PROXY_STATS_SQLITE_BUSY_TIMEOUT_MS || 100;
+
+/**
+ * Storage backends for the proxy stats (proxy -> stats object).
+ *
+ * Interface:
+ * - load(): all stored stats (synchronous, once at startup)
+ * - markChanged(proxies): schedules the given entries to be written (null = all)
+ * - remove(proxy): schedules the removal of an entry
+ * - flush(): writes pending changes now, resolves when they are on disk
+ * - readChanges(): entries other instances wrote since the last call (`shared` backends only)
+ *
+ * The stats object itself stays owned by utils/proxyPool.js; a store only gets a getter for it.
+ */
+
+/**
+ * JSON file backend: the whole file is rewritten, but at most once per flush interval, off the
+ * request path, via writeFileAtomic() (utils/helpers.js).
+ */
+class JsonFileStatsStore {
+  constructor({ file = PROXY_STATS_FILE, flushMs = PROXY_STATS_FLUSH_MS, getStats }) {
+    this.file = file;
+    this.flushMs = flushMs;
+    this.getStats = getStats;
+    this.shared = false;
+    this.dirty = false;
+    this.timer = null;
+    this.writing = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      logger.debug('No proxy stats file found, starting with empty stats');
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  markChanged() {
+    this.dirty = true;
+    this.schedule();
+  }
+
+  remove() {
+    this.markChanged();
+  }
+
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(err => logger.error('Error saving proxyStats:', err));
+    }, this.flushMs);
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    // One write at a time; changes made during a write are picked up by the next one
+    while (this.writing) {
+      await this.writing;
+    }
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    this.writing = this.write(JSON.stringify(this.getStats(), null, 2));
+    try {
+      await this.writing;
+    } catch (err) {
+      this.dirty = true;
+      throw err;
+    } finally {
+      this.writing = null;
+    }
+  }
+
+  async write(data) {
+    await writeFileAtomic(this.file, data);
+    logger.debug(`Proxy stats saved successfully (${data.length} bytes)`);
+  }
+
+  readChanges() {
+    return {};
+  }
+}
+
+/**
+ * SQLite backend (node:sqlite, Node >= 22.13): one row per proxy, only changed rows are written.
+ * Several V-Login instances can share the database file (WAL mode); each one picks up the rows the others
+ * wrote via readChanges().
+ *
+ * node:sqlite is synchronous, so every statement blocks the event loop. A flush therefore writes in small
+ * transactions (PROXY_STATS_SQLITE_BATCH_SIZE rows) and lets other work run in between, and waits for a lock
+ * of another instance only briefly (PROXY_STATS_SQLITE_BUSY_TIMEOUT_MS); rows that could not be written are
+ * retried with the next flush.
+ */
+class SqliteStatsStore {
+  constructor({ file = PROXY_STATS_DB_FILE, flushMs = PROXY_STATS_FLUSH_MS, getStats, importFile = PROXY_STATS_FILE }) {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (err) {
+      // Unflagged from 22.13 on; 22.5 to 22.12 only have it with --experimental-sqlite
+      throw new Error(`PROXY_STATS_BACKEND=sqlite needs node:sqlite (Node.js >= 22.13, or >= 22.5 with --experimental-sqlite), running ${process.version}`);
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.file = file;
+    this.flushMs = flushMs;
+    this.getStats = getStats;
+    this.importFile = importFile;
+    this.shared = true;
+    this.instanceId = crypto.randomUUID();
+    this.changed = new Set();
+    this.removed = new Set();
+    this.timer = null;
+    this.flushing = null;
+    this.lastSync = 0;
+
+    this.db = new DatabaseSync(file);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = ${Math.floor(PROXY_STATS_SQLITE_BUSY_TIMEOUT_MS)};
+      CREATE TABLE IF NOT EXISTS proxy_stats (
+        proxy TEXT PRIMARY KEY,
+        stats TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        updated_by TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS proxy_stats_updated_at ON proxy_stats (updated_at);
+    `);
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO proxy_stats (proxy, stats, updated_at, updated_by) VALUES (?, ?, ?, ?)
+      ON CONFLICT (proxy) DO UPDATE SET stats = excluded.stats, updated_at = excluded.updated_at, updated_by = excluded.updated_by
+    `);
+    this.deleteStatement = this.db.prepare('DELETE FROM proxy_stats WHERE proxy = ?');
+  }
+
+  load() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM proxy_stats').get();
+    if (count === 0 && fs.existsSync(this.importFile)) {
+      logger.info(`SqliteStatsStore: Database is empty, importing ${this.importFile}`);
+      importProxyStatsFiles(this, [this.importFile]);
+    }
+    this.lastSync = Date.now();
+    const stats = {};
+    this.db.prepare('SELECT proxy, stats FROM proxy_stats').all().forEach(row => {
+      stats[row.proxy] = JSON.parse(row.stats);
+    });
+    return stats;
+  }
+
+  listProxies() {
+    return this.db.prepare('SELECT proxy FROM proxy_stats').all().map(row => row.proxy);
+  }
+
+  markChanged(proxies) {
+    (proxies || Object.keys(this.getStats())).forEach(proxy => {
+      this.changed.add(proxy);
+      this.removed.delete(proxy);
+    });
+    this.schedule();
+  }
+
+  remove(proxy) {
+    this.changed.delete(proxy);
+    this.removed.add(proxy);
+    this.schedule();
+  }
+
+  schedule() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(err => logger.error('Error saving proxyStats:', err));
+    }, this.flushMs);
+  }
+
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    // One flush at a time; changes made during a flush are picked up by the next one
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.changed.size === 0 && this.removed.size === 0) {
+      return;
+    }
+    this.flushing = this.writePending();
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  async writePending() {
+    const removals = [...this.removed];
+    const proxies = [...this.changed];
+    this.removed.clear();
+    this.changed.clear();
+    let written = 0;
+    try {
+      if (removals.length > 0) {
+        this.writeRows([], removals);
+      }
+      removals.length = 0;
+      while (proxies.length > 0) {
+        // Stats are read per batch, so a batch carries what is current when it is written
+        const stats = this.getStats();
+        const batch = proxies.slice(0, PROXY_STATS_SQLITE_BATCH_SIZE);
+        this.writeRows(batch.filter(proxy => stats[proxy]).map(proxy => [proxy, stats[proxy]]));
+        proxies.splice(0, batch.length);
+        written += batch.length;
+        // Requests, WebSocket messages and lease timers run between the transactions
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    } catch (err) {
+      // E.g. the database stayed locked longer than the busy timeout: the rest goes into the next flush
+      removals.filter(proxy => !this.changed.has(proxy)).forEach(proxy => this.removed.add(proxy));
+      proxies.filter(proxy => !this.removed.has(proxy)).forEach(proxy => this.changed.add(proxy));
+      this.schedule();
+      throw err;
+    }
+    logger.debug(`SqliteStatsStore: Wrote ${written} proxy stats`);
+  }
+
+  writeRows(entries, removals = []) {
+    const now = Date.now();
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      entries.forEach(([proxy, stats]) => this.upsertStatement.run(proxy, JSON.stringify(stats), now, this.instanceId));
+      removals.forEach(proxy => this.deleteStatement.run(proxy));
+      this.db.exec('COMMIT');
+    } catch (err) {
+      this.db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  readChanges() {
+    const since = this.lastSync;
+    this.lastSync = Date.now();
+    const changes = {};
+    this.db.prepare('SELECT proxy, stats FROM proxy_stats WHERE updated_at >= ? AND updated_by != ?')
+      .all(since, this.instanceId)
+      .forEach(row => {
+        if (!this.changed.has(row.proxy)) {
+          changes[row.proxy] = JSON.parse(row.stats);
+        }
+      });
+    return changes;
+  }
+}
+
+/**
+ * Imports proxyStats.json files into a SqliteStatsStore. Entries already in the store are kept;
+ * for proxies in several files, the entry used most recently wins.
+ * @returns {number} - Number of imported entries.
+ */
+function importProxyStatsFiles(store, files) {
+  const imported = {};
+  files.forEach(file => {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(content).forEach(([proxy, stats]) => {
+      if (!imported[proxy] || (stats.lastUsed || 0) > (imported[proxy].lastUsed || 0)) {
+        imported[proxy] = stats;
+      }
+    });
+    logger.info(`importProxyStatsFiles: Read ${Object.keys(content).length} entries from ${file}`);
+  });
+  const existing = new Set(store.listProxies());
+  const entries = Object.entries(imported).filter(([proxy]) => !existing.has(proxy));
+  store.writeRows(entries);
+  logger.info(`importProxyStatsFiles: Imported ${entries.length} proxy stats into ${store.file}`);
+  return entries.length;
+}
+
+/**
+ * Creates the store configured via PROXY_STATS_BACKEND ("json" or "sqlite").
+ * @param {Function} getStats - Returns the current stats object.
+ */
+function createProxyStatsStore(getStats) {
+  if (PROXY_STATS_BACKEND === 'sqlite') {
+    // Checked at startup: without node:sqlite the service must not run on an empty pool state
+    try {
+      return new SqliteStatsStore({ getStats });
+    } catch (err) {
+      logger.error(`createProxyStatsStore: ${err.message}`);
+      throw err;
+    }
+  }
+  if (PROXY_STATS_BACKEND !== 'json') {
+    logger.warn(`createProxyStatsStore: Unknown PROXY_STATS_BACKEND "${PROXY_STATS_BACKEND}", using json`);
+  }
+  return new JsonFileStatsStore({ getStats });
+}
+
+// Migration: node utils/proxyStatsStore.js import [proxyStats.json ...]
+if (module === require.main) {
+  const [command, ...files] = process.argv.slice(2);
+  if (command !== 'import') {
+    console.error('Usage: node utils/proxyStatsStore.js import [proxyStats.json ...]');
+    process.exit(1);
+  }
+  const store = new SqliteStatsStore({ getStats: () => ({}) });
+  importProxyStatsFiles(store, files.length > 0 ? files : [PROXY_STATS_FILE]);
+}
+
+module.exports = {
+  JsonFileStatsStore,
+  SqliteStatsStore,
+  createProxyStatsStore,
+  importProxyStatsFiles
+};
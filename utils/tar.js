@@ -0,0 +1,56 @@
+// utils/tar.js
+/**
+ * Minimal tar (ustar) writer for downloads of small file sets (see core/failure_artifacts.js).
+ * Regular files only; names must fit into the 100 byte name field.
+ */
+const BLOCK_SIZE = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+function buildHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Name too long for a tar entry: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime / 1000), 136, 12);
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  header.write('0', 156);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+  return header;
+}
+
+/**
+ * Builds a tar archive.
+ * @param {Array<{ name: string, data: Buffer, mtime?: number }>} entries - File name inside the archive, content, mtime in ms.
+ * @returns {Buffer}
+ */
+function createTar(entries) {
+  const blocks = [];
+  entries.forEach(({ name, data, mtime = Date.now() }) => {
+    blocks.push(buildHeader(name, data.length, mtime), data);
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      blocks.push(Buffer.alloc(padding));
+    }
+  });
+  // End of archive: two empty blocks
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+module.exports = { createTar };